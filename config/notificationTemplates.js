@@ -0,0 +1,103 @@
+// Title and message of each notification type, rendered from the data passed to notify().
+// Types without a template fall back to data.title / data.message.
+// inAppRequired types are always stored in-app whatever the user's preferences: OTP
+// notifications double as the OTP audit trail and password resets are security notices.
+const NOTIFICATION_TEMPLATES = {
+  otp_sent: {
+    inAppRequired: true,
+    title: 'OTP sent',
+    message: ({ clientName, clientPhone }) => `OTP sent to ${clientName} (${clientPhone})`
+  },
+  otp_resent: {
+    inAppRequired: true,
+    title: 'OTP resent',
+    message: ({ clientName, clientPhone }) => `OTP resent to ${clientName} (${clientPhone})`
+  },
+  otp_verified: {
+    inAppRequired: true,
+    title: 'OTP verified',
+    message: ({ clientName, clientPhone }) => `OTP verified by ${clientName} (${clientPhone})`
+  },
+  otp_queued: {
+    inAppRequired: true,
+    title: 'OTP delivery queued',
+    message: ({ clientName, clientPhone }) => `OTP for ${clientName} (${clientPhone}) could not be delivered yet and will be retried`
+  },
+  otp_delivery_failed: {
+    inAppRequired: true,
+    title: 'OTP not delivered',
+    message: ({ clientName, clientPhone }) => `OTP could not be delivered to ${clientName} (${clientPhone})`
+  },
+  otp_override_requested: {
+    inAppRequired: true,
+    title: 'Manual verification requested',
+    message: ({ requestedBy, clientName, reason }) => `${requestedBy} asks to verify ${clientName} without an OTP${reason ? `: ${reason}` : ''}`
+  },
+  otp_override_approved: {
+    inAppRequired: true,
+    title: 'Manual verification approved',
+    message: ({ clientName, decidedBy }) => `Manual verification of ${clientName} was approved by ${decidedBy}`
+  },
+  otp_override_rejected: {
+    inAppRequired: true,
+    title: 'Manual verification rejected',
+    message: ({ clientName, decidedBy, note }) => `Manual verification of ${clientName} was rejected by ${decidedBy}${note ? `: ${note}` : ''}`
+  },
+  client_assigned: {
+    title: 'New client assigned',
+    message: ({ clientName, assignedBy }) => `${clientName} has been assigned to you${assignedBy ? ` by ${assignedBy}` : ''}`
+  },
+  follow_up_due: {
+    title: 'Follow-up due today',
+    message: ({ clientName, note }) => `Follow-up due today with ${clientName}${note ? `: ${note}` : ''}`
+  },
+  follow_up_overdue: {
+    title: 'Follow-up overdue',
+    message: ({ clientName, dueDate, note }) => `Follow-up with ${clientName} was due on ${dueDate} and is overdue${note ? `: ${note}` : ''}`
+  },
+  feedback_commented: {
+    title: 'New comment on your feedback',
+    message: ({ commenterName, clientName, comment }) => `${commenterName} commented on your feedback for ${clientName}${comment ? `: ${comment}` : ''}`
+  },
+  password_reset: {
+    inAppRequired: true,
+    title: 'Password reset',
+    message: ({ resetBy }) => (resetBy
+      ? `Your password was reset by ${resetBy}. Use the temporary password you received to log in`
+      : 'Your password was reset. If this was not you, contact your administrator')
+  }
+};
+
+const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TEMPLATES);
+
+const isInAppRequired = (type) => Boolean(NOTIFICATION_TEMPLATES[type]?.inAppRequired);
+
+// Types that stay on record: they can be archived but never deleted
+const IN_APP_REQUIRED_TYPES = NOTIFICATION_TYPES.filter(isInAppRequired);
+
+/**
+ * Render the title and message of a notification
+ * @param {string} type - Notification type
+ * @param {Object} data - Template variables
+ * @returns {Object} - { title, message }
+ */
+const renderNotification = (type, data = {}) => {
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) {
+    return { title: data.title, message: data.message || type };
+  }
+
+  const render = (part) => (typeof part === 'function' ? part(data) : part);
+  return {
+    title: data.title || render(template.title),
+    message: data.message || render(template.message)
+  };
+};
+
+module.exports = {
+  NOTIFICATION_TEMPLATES,
+  NOTIFICATION_TYPES,
+  IN_APP_REQUIRED_TYPES,
+  isInAppRequired,
+  renderNotification
+};
@@ -0,0 +1,95 @@
+// Named permissions granted to each role.
+// '*' grants every permission; 'data:all' lifts the area restriction on clients,
+// feedback and areas, everyone else only sees data of their assigned area.
+// 'team:read' widens that restriction to the areas of everyone reporting to the user.
+// Without 'clients:read_all' a single client only opens when it is assigned to the user.
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  regional_manager: [
+    'users:read',
+    'clients:read',
+    'clients:read_all',
+    'clients:write',
+    'clients:assign',
+    'clients:export',
+    'areas:read',
+    'feedback:read',
+    'feedback:write',
+    'feedback:export',
+    'products:read',
+    'notifications:read',
+    'otp:send',
+    'visits:read',
+    'visits:write',
+    'team:read'
+  ],
+  area_manager: [
+    'users:read',
+    'clients:read',
+    'clients:read_all',
+    'clients:write',
+    'clients:assign',
+    'clients:export',
+    'areas:read',
+    'feedback:read',
+    'feedback:write',
+    'feedback:export',
+    'products:read',
+    'notifications:read',
+    'otp:send',
+    'visits:read',
+    'visits:write',
+    'team:read'
+  ],
+  auditor: [
+    'audit:read',
+    'dashboard:read',
+    'users:read',
+    'clients:read',
+    'clients:read_all',
+    'clients:export',
+    'areas:read',
+    'feedback:read',
+    'feedback:export',
+    'products:read',
+    'notifications:read',
+    'notifications:read_all',
+    'visits:read',
+    'visits:report',
+    'data:all'
+  ],
+  salesman: [
+    'clients:read',
+    'areas:read',
+    'feedback:read',
+    'feedback:write',
+    'products:read',
+    'notifications:read',
+    'otp:send',
+    'visits:read',
+    'visits:write',
+    'field:access'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const roleHasPermission = (role, permission) => {
+  const permissions = getRolePermissions(role);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Managers may see everything through their team instead of an own area
+const roleRequiresArea = (role) => {
+  return !roleHasPermission(role, 'data:all') && !roleHasPermission(role, 'team:read');
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  getRolePermissions,
+  roleHasPermission,
+  roleRequiresArea
+};
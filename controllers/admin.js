@@ -2,6 +2,13 @@ const User = require('../models/User');
 const Area = require('../models/Area');
 const Client = require('../models/Client');
 const ClientFeedback = require('../models/ClientFeedback');
+const Session = require('../models/Session');
+const whatsappService = require('../services/whatsappService');
+const { notify } = require('../services/notificationService');
+const { roleRequiresArea } = require('../config/roles');
+const { getTeamMemberIds, getVisibleUserIds } = require('../utils/scope');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
 // Generate a readable temporary password
 const generateReadablePassword = () => {
@@ -15,403 +22,584 @@ const generateReadablePassword = () => {
   return `${adjective}${noun}${numbers}`;
 };
 
-// @desc    Get admin dashboard stats
-// @access  Private (Admin only)
-const getDashboard = async (req, res) => {
-  try {
-    const totalSalesmen = await User.countDocuments({ role: 'salesman', isActive: true });
-    const totalClients = await Client.countDocuments({ isActive: true });
-    const totalAreas = await Area.countDocuments({ isActive: true });
-    const totalInquiries = await ClientFeedback.countDocuments({ isActive: true });
-
-    // Get period parameter (default to 'month')
-    const period = req.query.period || 'month';
-    
-    // Calculate date range based on period
-    const now = new Date();
-    let startDate = new Date();
-    let groupByFormat = {};
-    let limitCount = 0;
-    let formatLabel = (item) => '';
-
-    switch (period) {
-      case 'day':
-        // Last 30 days
-        startDate.setDate(now.getDate() - 30);
-        groupByFormat = {
-          year: { $year: '$createdAt' },
-          month: { $month: '$createdAt' },
-          day: { $dayOfMonth: '$createdAt' }
-        };
-        limitCount = 30;
-        formatLabel = (item) => {
-          const date = new Date(item._id.year, item._id.month - 1, item._id.day);
-          return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-        };
-        break;
-      case 'week':
-        // Last 12 weeks
-        startDate.setDate(now.getDate() - 84); // 12 weeks
-        groupByFormat = {
-          year: { $year: '$createdAt' },
-          week: { $week: '$createdAt' }
-        };
-        limitCount = 12;
-        // We'll handle week formatting later to ensure consecutive weeks
-        formatLabel = null; // Will be handled after aggregation
-        break;
-      case 'month':
-      default:
-        // Last 12 months
-        startDate.setMonth(now.getMonth() - 12);
-        groupByFormat = {
-          year: { $year: '$createdAt' },
-          month: { $month: '$createdAt' }
-        };
-        limitCount = 12;
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        formatLabel = (item) => `${monthNames[item._id.month - 1]} ${item._id.year}`;
-        break;
+// Check that managerId can be the manager of userId, returns an error message if not
+const validateReportsTo = async (managerId, userId = null) => {
+  const manager = await User.findById(managerId);
+  if (!manager || !manager.isActive) {
+    return 'Manager not found';
+  }
+
+  if (!manager.hasPermission('team:read')) {
+    return 'Selected user cannot manage a team';
+  }
+
+  if (userId) {
+    if (manager._id.equals(userId)) {
+      return 'A user cannot report to themselves';
     }
 
-    // Get chart data for inquiries based on period
-    const inquiriesChartData = await ClientFeedback.aggregate([
-      {
-        $match: {
-          isActive: true,
-          createdAt: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: groupByFormat,
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: period === 'day' 
-          ? { '_id.year': 1, '_id.month': 1, '_id.day': 1 }
-          : period === 'week'
-          ? { '_id.year': 1, '_id.week': 1 }
-          : { '_id.year': 1, '_id.month': 1 }
-      },
-      {
-        $limit: limitCount
+    // The manager must not already be somewhere below the user
+    const teamIds = await getTeamMemberIds(userId);
+    if (teamIds.some(id => id.equals(manager._id))) {
+      return 'Reporting line would create a cycle';
+    }
+  }
+
+  return null;
+};
+
+// @desc    Get admin dashboard stats
+// @access  Private (dashboard:read)
+const getDashboard = asyncHandler(async (req, res) => {
+  const totalSalesmen = await User.countDocuments({ role: 'salesman', isActive: true });
+  const totalClients = await Client.countDocuments({ isActive: true });
+  const totalAreas = await Area.countDocuments({ isActive: true });
+  const totalInquiries = await ClientFeedback.countDocuments({ isActive: true });
+
+  // Get period parameter (default to 'month')
+  const period = req.query.period || 'month';
+  
+  // Calculate date range based on period
+  const now = new Date();
+  let startDate = new Date();
+  let groupByFormat = {};
+  let limitCount = 0;
+  let formatLabel = (item) => '';
+
+  switch (period) {
+    case 'day':
+      // Last 30 days
+      startDate.setDate(now.getDate() - 30);
+      groupByFormat = {
+        year: { $year: '$createdAt' },
+        month: { $month: '$createdAt' },
+        day: { $dayOfMonth: '$createdAt' }
+      };
+      limitCount = 30;
+      formatLabel = (item) => {
+        const date = new Date(item._id.year, item._id.month - 1, item._id.day);
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      };
+      break;
+    case 'week':
+      // Last 12 weeks
+      startDate.setDate(now.getDate() - 84); // 12 weeks
+      groupByFormat = {
+        year: { $year: '$createdAt' },
+        week: { $week: '$createdAt' }
+      };
+      limitCount = 12;
+      // We'll handle week formatting later to ensure consecutive weeks
+      formatLabel = null; // Will be handled after aggregation
+      break;
+    case 'month':
+    default:
+      // Last 12 months
+      startDate.setMonth(now.getMonth() - 12);
+      groupByFormat = {
+        year: { $year: '$createdAt' },
+        month: { $month: '$createdAt' }
+      };
+      limitCount = 12;
+      const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+      formatLabel = (item) => `${monthNames[item._id.month - 1]} ${item._id.year}`;
+      break;
+  }
+
+  // Get chart data for inquiries based on period
+  const inquiriesChartData = await ClientFeedback.aggregate([
+    {
+      $match: {
+        isActive: true,
+        createdAt: { $gte: startDate }
       }
-    ]);
+    },
+    {
+      $group: {
+        _id: groupByFormat,
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $sort: period === 'day' 
+        ? { '_id.year': 1, '_id.month': 1, '_id.day': 1 }
+        : period === 'week'
+        ? { '_id.year': 1, '_id.week': 1 }
+        : { '_id.year': 1, '_id.month': 1 }
+    },
+    {
+      $limit: limitCount
+    }
+  ]);
 
-    // Get chart data for clients - last 12 months
-    const clientsChartData = await Client.aggregate([
-      {
-        $match: {
-          isActive: true
-        }
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { '_id.year': 1, '_id.month': 1 }
-      },
-      {
-        $limit: 12
+  // Get chart data for clients - last 12 months
+  const clientsChartData = await Client.aggregate([
+    {
+      $match: {
+        isActive: true
       }
-    ]);
-
-    // Format chart data
-    const formatChartData = (data, formatter, periodType = null) => {
-      if (periodType === 'week') {
-        // Create a map of existing data indexed by year-week
-        const weekData = new Map();
-        data.forEach(item => {
-          const key = `${item._id.year}-${item._id.week}`;
-          weekData.set(key, item.count);
-        });
+    },
+    {
+      $group: {
+        _id: {
+          year: { $year: '$createdAt' },
+          month: { $month: '$createdAt' }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $sort: { '_id.year': 1, '_id.month': 1 }
+    },
+    {
+      $limit: 12
+    }
+  ]);
+
+  // Format chart data
+  const formatChartData = (data, formatter, periodType = null) => {
+    if (periodType === 'week') {
+      // Create a map of existing data indexed by year-week
+      const weekData = new Map();
+      data.forEach(item => {
+        const key = `${item._id.year}-${item._id.week}`;
+        weekData.set(key, item.count);
+      });
+      
+      // Generate last 12 consecutive weeks (going backwards from today)
+      const result = [];
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      
+      for (let i = 11; i >= 0; i--) {
+        // Calculate the start of each week (Monday)
+        const weekStart = new Date(today);
+        weekStart.setDate(today.getDate() - (i * 7));
+        // Move to Monday of that week
+        const dayOfWeek = weekStart.getDay();
+        const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+        weekStart.setDate(weekStart.getDate() - daysFromMonday);
         
-        // Generate last 12 consecutive weeks (going backwards from today)
-        const result = [];
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const year = weekStart.getFullYear();
+        // Get ISO week number
+        const weekNum = getISOWeek(weekStart);
+        const key = `${year}-${weekNum}`;
         
-        for (let i = 11; i >= 0; i--) {
-          // Calculate the start of each week (Monday)
-          const weekStart = new Date(today);
-          weekStart.setDate(today.getDate() - (i * 7));
-          // Move to Monday of that week
-          const dayOfWeek = weekStart.getDay();
-          const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-          weekStart.setDate(weekStart.getDate() - daysFromMonday);
-          
-          const year = weekStart.getFullYear();
-          // Get ISO week number
-          const weekNum = getISOWeek(weekStart);
-          const key = `${year}-${weekNum}`;
-          
-          // Get start date of week for label
-          const weekEnd = new Date(weekStart);
-          weekEnd.setDate(weekStart.getDate() + 6);
-          const startMonth = weekStart.toLocaleDateString('en-US', { month: 'short' });
-          const startDay = weekStart.getDate();
-          const endMonth = weekEnd.toLocaleDateString('en-US', { month: 'short' });
-          const endDay = weekEnd.getDate();
-          
-          result.push({
-            name: weekStart.getMonth() === weekEnd.getMonth() 
-              ? `${startMonth} ${startDay}-${endDay}` 
-              : `${startMonth} ${startDay} - ${endMonth} ${endDay}`,
-            value: weekData.get(key) || 0
-          });
-        }
-        return result;
+        // Get start date of week for label
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekStart.getDate() + 6);
+        const startMonth = weekStart.toLocaleDateString('en-US', { month: 'short' });
+        const startDay = weekStart.getDate();
+        const endMonth = weekEnd.toLocaleDateString('en-US', { month: 'short' });
+        const endDay = weekEnd.getDate();
+        
+        result.push({
+          name: weekStart.getMonth() === weekEnd.getMonth() 
+            ? `${startMonth} ${startDay}-${endDay}` 
+            : `${startMonth} ${startDay} - ${endMonth} ${endDay}`,
+          value: weekData.get(key) || 0
+        });
       }
-      
-      return data.map(item => ({
-        name: formatter(item),
-        value: item.count
-      }));
-    };
-    
-    // Helper function to get ISO week number
-    const getISOWeek = (date) => {
-      const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-      const dayNum = d.getUTCDay() || 7;
-      d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-      const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-      return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-    };
+      return result;
+    }
     
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-
-    const recentInquiries = await ClientFeedback.find({ isActive: true })
-      .select('client lead products audio notes createdBy createdAt')
-      .populate('client', 'name company phone')
-      .populate('createdBy', 'firstName lastName')
-      .populate('products.product', 'productName')
-      .sort({ createdAt: -1 })
-      .limit(5);
-
-    res.json({
-      stats: {
-        totalSalesmen,
-        totalClients,
-        totalAreas,
-        totalInquiries
-      },
-      chartData: {
-        inquiries: formatChartData(inquiriesChartData, formatLabel || ((item) => {
-          if (period === 'week') return item.name; // Already formatted
-          const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-          if (period === 'day') {
-            const date = new Date(item._id.year, item._id.month - 1, item._id.day);
-            return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-          }
-          return `${monthNames[item._id.month - 1]} ${item._id.year}`;
-        }), period === 'week' ? 'week' : null),
-        clients: formatChartData(clientsChartData, (item) => {
-          return `${monthNames[item._id.month - 1]} ${item._id.year}`;
-        })
-      },
-      recentInquiries
-    });
-  } catch (error) {
-    console.error('Dashboard error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+    return data.map(item => ({
+      name: formatter(item),
+      value: item.count
+    }));
+  };
+  
+  // Helper function to get ISO week number
+  const getISOWeek = (date) => {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+  };
+  
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  const recentInquiries = await ClientFeedback.find({ isActive: true })
+    .select('client lead products audio notes createdBy createdAt')
+    .populate('client', 'name company phone')
+    .populate('createdBy', 'firstName lastName')
+    .populate('products.product', 'productName')
+    .sort({ createdAt: -1 })
+    .limit(5);
+
+  sendSuccess(res, {
+    stats: {
+      totalSalesmen,
+      totalClients,
+      totalAreas,
+      totalInquiries
+    },
+    chartData: {
+      inquiries: formatChartData(inquiriesChartData, formatLabel || ((item) => {
+        if (period === 'week') return item.name; // Already formatted
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        if (period === 'day') {
+          const date = new Date(item._id.year, item._id.month - 1, item._id.day);
+          return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        }
+        return `${monthNames[item._id.month - 1]} ${item._id.year}`;
+      }), period === 'week' ? 'week' : null),
+      clients: formatChartData(clientsChartData, (item) => {
+        return `${monthNames[item._id.month - 1]} ${item._id.year}`;
+      })
+    },
+    recentInquiries
+  });
+});
 
 // @desc    Create new user (salesman)
-// @access  Private (Admin only)
-const createUser = async (req, res) => {
-  try {
-    const { email, password, firstName, lastName, area, phone, role } = req.body;
+// @access  Private (users:write)
+const createUser = asyncHandler(async (req, res) => {
+  const { email, password, firstName, lastName, phone, role, reportsTo } = req.body;
+  const areas = User.withPrimaryArea(req.body.area, req.body.areas);
+  const area = areas[0];
+
+  // Check if email already exists
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    throw new ConflictError('Email already exists');
+  }
+
+  const userRole = role || 'salesman';
 
-    // Check if email already exists
-    const existingUser = await User.findOne({ email });
+  // Area-scoped roles need an area, the rest may optionally have one
+  if (!area && roleRequiresArea(userRole)) {
+    throw new ValidationError('Area is required for this role');
+  }
 
-    if (existingUser) {
-      return res.status(400).json({ message: 'Email already exists' });
+  // Check if every area exists
+  if (areas.length > 0) {
+    const areaCount = await Area.countDocuments({ _id: { $in: areas } });
+    if (areaCount !== areas.length) {
+      throw new ValidationError('Area not found');
     }
+  }
 
-    // Check if area exists
-    const areaExists = await Area.findById(area);
-    if (!areaExists) {
-      return res.status(400).json({ message: 'Area not found' });
+  if (reportsTo) {
+    const reportsToError = await validateReportsTo(reportsTo);
+    if (reportsToError) {
+      throw new ValidationError(reportsToError);
     }
+  }
 
-    // Generate a readable temporary password
-    const tempPassword = generateReadablePassword();
-
-    // Create new user
-    const user = new User({
-      email,
-      password: tempPassword, // Use the generated temp password
-      tempPassword: tempPassword, // Store the readable version
-      firstName,
-      lastName,
-      area,
-      phone,
-      role: role || 'salesman' // Use provided role or default to salesman
-    });
-
-    await user.save();
-
-    const userResponse = await User.findById(user._id)
-      .select('-password')
-      .populate('area', 'name city state');
-
-    // Add the readable temporary password to response
-    userResponse.password = tempPassword;
-
-    res.status(201).json(userResponse);
-  } catch (error) {
-    console.error('Create user error:', error);
-    res.status(500).json({ message: 'Server error' });
+  // Generate a readable temporary password
+  const tempPassword = generateReadablePassword();
+
+  // Create new user
+  const user = new User({
+    email,
+    password: tempPassword, // Only returned in this response, never stored readable
+    mustChangePassword: true,
+    firstName,
+    lastName,
+    area,
+    areas,
+    phone,
+    role: userRole,
+    reportsTo: reportsTo || null
+  });
+
+  await user.save();
+
+  const userResponse = await User.findById(user._id)
+    .select('-password -tempPassword')
+    .populate('area', 'name city state')
+    .populate('areas', 'name city state')
+    .populate('reportsTo', 'firstName lastName role');
+
+  // Add the readable temporary password to response
+  userResponse.password = tempPassword;
+
+  sendSuccess(res, userResponse, 'User created successfully', 201);
+});
+
+// @desc    Get all users (managers: their team) with pagination and filtering
+// @access  Private (users:read)
+const getUsers = asyncHandler(async (req, res) => {
+  const { role, area, reportsTo, search, page = 1, limit = 10 } = req.query;
+
+  let query = {};
+
+  query.role = role || 'salesman';
+
+  const visibleUserIds = await getVisibleUserIds(req.user);
+  if (visibleUserIds) query._id = { $in: visibleUserIds };
+
+  if (area) query.$and = [{ $or: [{ area }, { areas: area }] }];
+  if (reportsTo) query.reportsTo = reportsTo;
+  if (search) {
+    query.$or = [
+      { firstName: { $regex: search, $options: 'i' } },
+      { lastName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } }
+    ];
   }
-};
 
-// @desc    Get all users with pagination and filtering
-// @access  Private (Admin only)
-const getUsers = async (req, res) => {
-  try {
-    const { role, area, search, page = 1, limit = 10 } = req.query;
+  // Temporary passwords are only shown once, when created or reset
+  const users = await User.find(query)
+    .select('-password -tempPassword')
+    .populate('area', 'name city state')
+    .populate('areas', 'name city state')
+    .populate('reportsTo', 'firstName lastName role')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await User.countDocuments(query);
+  sendSuccess(res, {
+    users,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      total,
+      limit: parseInt(limit)
+    },
+  });
+});
 
-    let query = {};
+// @desc    Update user
+// @access  Private (users:write)
+const updateUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  // Passwords are only changed by the user or through a reset, never stored unhashed here
+  const { password, tempPassword, mustChangePassword, ...updateData } = req.body;
+
+  // Check if areas exist if updating areas, keeping the primary area in the list
+  if (updateData.area || updateData.areas) {
+    const existingUser = await User.findById(id).select('area areas');
+    if (!existingUser) {
+      throw new NotFoundError('User not found');
+    }
 
-    if (!role) {
-      query.role = 'salesman';
+    const areas = User.withPrimaryArea(
+      updateData.area || existingUser.area,
+      updateData.areas || existingUser.areas
+    );
+    const areaCount = await Area.countDocuments({ _id: { $in: areas } });
+    if (areaCount !== areas.length) {
+      throw new ValidationError('Area not found');
     }
 
-    if (area) query.area = area;
-    if (search) {
-      query.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
+    updateData.area = areas[0];
+    updateData.areas = areas;
+  }
+
+  if (updateData.reportsTo) {
+    const reportsToError = await validateReportsTo(updateData.reportsTo, id);
+    if (reportsToError) {
+      throw new ValidationError(reportsToError);
     }
+  }
 
-    const users = await User.find(query)
-      .select('-password') // Exclude hashed password
-      .populate('area', 'name city state')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    // Add readable password to each user
-    const usersWithReadablePasswords = users.map(user => ({
-      ...user.toObject(),
-      password: user.tempPassword || 'Not Set'
-    }));
+  const user = await User.findByIdAndUpdate(
+    id,
+    updateData,
+    { new: true, runValidators: true }
+  ).select('-password -tempPassword')
+    .populate('area', 'name city state')
+    .populate('areas', 'name city state')
+    .populate('reportsTo', 'firstName lastName role');
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  sendSuccess(res, user, 'User updated successfully');
+});
+
+// @desc    Delete user
+// @access  Private (users:write)
+const deleteUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    const total = await User.countDocuments(query);
-    res.json({
-      users: usersWithReadablePasswords,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        total,
-        limit: parseInt(limit)
-      },
-    });
-  } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ message: 'Server error' });
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-};
 
-// @desc    Update user
-// @access  Private (Admin only)
-const updateUser = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updateData = req.body;
-
-    // Check if area exists if updating area
-    if (updateData.area) {
-      const areaExists = await Area.findById(updateData.area);
-      if (!areaExists) {
-        return res.status(400).json({ message: 'Area not found' });
-      }
-    }
+  // Hard delete - permanently remove from database
+  await User.findByIdAndDelete(id);
+  await Session.deleteMany({ user: id });
+  await User.updateMany({ reportsTo: id }, { reportsTo: null });
 
-    const user = await User.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).select('-password').populate('area', 'name city state');
+  sendSuccess(res, { id: user._id, name: `${user.firstName} ${user.lastName}` }, 'User deleted successfully');
+});
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+// @desc    Toggle user status (active/inactive)
+// @access  Private (users:write)
+const toggleUserStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    res.json(user);
-  } catch (error) {
-    console.error('Update user error:', error);
-    res.status(500).json({ message: 'Server error' });
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-};
 
-// @desc    Delete user
-// @access  Private (Admin only)
-const deleteUser = async (req, res) => {
-  try {
-    const { id } = req.params;
+  const previousStatus = user.isActive;
+  user.isActive = !user.isActive;
+  await user.save();
+
+  if (!user.isActive) {
+    await Session.revokeAllForUser(user._id, 'user_deactivated');
+  }
+
+  sendSuccess(res, {
+    _id: user._id,
+    isActive: user.isActive,
+    name: `${user.firstName} ${user.lastName}`
+  }, `User ${user.isActive ? 'activated' : 'deactivated'} successfully`);
+});
 
-    const user = await User.findById(id);
+// @desc    Reset a user's password to a new readable temporary one
+// @access  Private (users:write)
+const resetUserPassword = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const sendCredentials = req.body.sendCredentials === true || req.body.sendCredentials === 'true';
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (sendCredentials && !user.phone) {
+    throw new ValidationError('User does not have a phone number');
+  }
+
+  const tempPassword = generateReadablePassword();
+
+  // Only returned in this response, never stored readable
+  user.password = tempPassword;
+  user.tempPassword = null;
+  user.mustChangePassword = true;
+  user.passwordResetBy = req.user._id;
+  user.passwordResetAt = new Date();
+  user.resetLoginFailures();
+  await user.save();
+
+  // Whoever had the old password must not keep a working session
+  await Session.revokeAllForUser(user._id, 'password_reset_by_admin');
+
+  await notify('password_reset', {
+    recipients: user,
+    actor: req.user,
+    entity: { type: 'User', id: user._id },
+    data: { resetBy: `${req.user.firstName} ${req.user.lastName}` }
+  });
+
+  let whatsappResult = null;
+  if (sendCredentials) {
+    whatsappResult = await whatsappService.sendCustomMessage(
+      user.phone,
+      `Hi ${user.firstName}, your password has been reset by an administrator.\n` +
+      `Username: ${user.email}\nTemporary password: ${tempPassword}\n` +
+      'You will be asked to choose a new password when you log in.'
+    );
+
+    if (!whatsappResult.success) {
+      console.error(`WhatsApp credentials send failed for ${user.email}:`, whatsappResult.error);
     }
+  }
+
+  sendSuccess(res, {
+    _id: user._id,
+    name: `${user.firstName} ${user.lastName}`,
+    password: tempPassword,
+    passwordResetAt: user.passwordResetAt,
+    credentialsSent: Boolean(whatsappResult?.success),
+    ...(whatsappResult && !whatsappResult.success && { whatsappError: whatsappResult.error })
+  }, 'Password reset successfully');
+});
 
-    // Hard delete - permanently remove from database
-    await User.findByIdAndDelete(id);
+// @desc    Get users (managers: of their team) currently locked out after failed logins
+// @access  Private (users:read)
+const getLockedUsers = asyncHandler(async (req, res) => {
+  const query = { lockUntil: { $gt: new Date() } };
 
-    res.json({
-      message: 'User deleted successfully',
-      data: { id: user._id, name: `${user.firstName} ${user.lastName}` }
-    });
-  } catch (error) {
-    console.error('Delete user error:', error);
-    res.status(500).json({ message: 'Server error' });
+  const visibleUserIds = await getVisibleUserIds(req.user);
+  if (visibleUserIds) query._id = { $in: visibleUserIds };
+
+  const users = await User.find(query)
+    .select('firstName lastName email role phone lockUntil lockCount lastFailedLoginAt lastFailedLoginIp')
+    .sort({ lockUntil: -1 });
+
+  sendSuccess(res, { users });
+});
+
+// @desc    Unlock a user locked out after failed logins
+// @access  Private (users:write)
+const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-};
 
-// @desc    Toggle user status (active/inactive)
-// @access  Private (Admin only)
-const toggleUserStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
+  user.resetLoginFailures();
+  await user.save();
 
-    const user = await User.findById(id);
+  sendSuccess(res, {
+    _id: user._id,
+    name: `${user.firstName} ${user.lastName}`
+  }, 'User unlocked successfully');
+});
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+// @desc    Get active sessions of a user (managers: of their team)
+// @access  Private (users:read)
+const getUserSessions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    const previousStatus = user.isActive;
-    user.isActive = !user.isActive;
-    await user.save();
+  const query = { _id: id };
+  const visibleUserIds = await getVisibleUserIds(req.user);
+  if (visibleUserIds) query._id = { $eq: id, $in: visibleUserIds };
 
+  const user = await User.findOne(query);
 
-    res.json({
-      message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
-      data: {
-        _id: user._id,
-        isActive: user.isActive,
-        name: `${user.firstName} ${user.lastName}`
-      }
-    });
-  } catch (error) {
-    console.error('Toggle user status error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-};
+
+  const sessions = await Session.find({
+    user: id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ip lastUsedAt expiresAt createdAt')
+    .sort({ lastUsedAt: -1 });
+
+  sendSuccess(res, { sessions });
+});
+
+// @desc    Revoke all sessions of a user (e.g. lost device)
+// @access  Private (users:write)
+const revokeUserSessions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const result = await Session.revokeAllForUser(user._id, 'revoked_by_admin');
+
+  sendSuccess(res, {
+    _id: user._id,
+    name: `${user.firstName} ${user.lastName}`,
+    revokedSessions: result.modifiedCount
+  }, 'All sessions revoked successfully');
+});
 
 module.exports = {
   getDashboard,
@@ -419,5 +607,10 @@ module.exports = {
   getUsers,
   updateUser,
   deleteUser,
-  toggleUserStatus
+  toggleUserStatus,
+  resetUserPassword,
+  getLockedUsers,
+  unlockUser,
+  getUserSessions,
+  revokeUserSessions
 };
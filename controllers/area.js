@@ -1,282 +1,179 @@
 const Area = require('../models/Area');
-const User = require('../models/User');
+const { getAccessibleAreaIds } = require('../utils/scope');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+const { parseLocation } = require('../utils/geo');
+const { NotFoundError, ConflictError } = require('../utils/errors');
 
 
-const createArea = async (req, res) => {
-  try {
-    const { name, description, city, state, stateId, cityId, isActive = true } = req.body;
+const createArea = asyncHandler(async (req, res) => {
+  const { name, description, city, state, stateId, cityId, location, isActive = true } = req.body;
 
-    // Check if area already exists with same name
-    const existingArea = await Area.findOne({
-      name: { $regex: new RegExp(`^${name}$`, 'i') }
-    });
-
-    if (existingArea) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Area with this name already exists' 
-      });
-    }
-
-    const area = new Area({
-      name,
-      description,
-      city,
-      state,
-      stateId,
-      cityId,
-      isActive
-    });
-
-    await area.save();
+  // Check if area already exists with same name
+  const existingArea = await Area.findOne({
+    name: { $regex: new RegExp(`^${name}$`, 'i') }
+  });
 
-    res.status(201).json({
-      success: true,
-      message: 'Area created successfully',
-      data: area
-    });
-  } catch (error) {
-    console.error('Create area error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while creating area',
-      error: error.message
-    });
+  if (existingArea) {
+    throw new ConflictError('Area with this name already exists');
   }
-};
-
 
-const getAllAreas = async (req, res) => {
-  try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      search = '', 
-      city = '', 
-      isActive = '' 
-    } = req.query;
-    
-    let query = {};
-    
-    // If user is a salesman, only show areas from their city
-    if (req.user?.role === 'salesman') {
-      // Get salesman's area information
-      const user = await User.findById(req.user._id).populate('area', 'city');
-      
-      if (!user || !user.area) {
-        return res.status(404).json({
-          success: false,
-          message: 'No area assigned to this salesman'
-        });
-      }
-      
-      // Filter by salesman's city
-      query.city = user.area.city;
-    }
-    
-    // Search filter
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { city: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+  const area = new Area({
+    name,
+    description,
+    city,
+    state,
+    stateId,
+    cityId,
+    location: parseLocation(location) || undefined,
+    isActive
+  });
+
+  await area.save();
+
+  sendSuccess(res, area, 'Area created successfully', 201);
+});
+
+
+const getAllAreas = asyncHandler(async (req, res) => {
+  const { 
+    page = 1, 
+    limit = 20, 
+    search = '', 
+    city = '', 
+    isActive = '' 
+  } = req.query;
+  
+  let query = {};
+  
+  // Area-scoped users only see areas from the cities they (or their team) cover
+  const accessibleAreaIds = await getAccessibleAreaIds(req.user);
+  if (accessibleAreaIds) {
+    const accessibleAreas = await Area.find({ _id: { $in: accessibleAreaIds } }).select('city');
     
-    // City filter (only for admins, salesmen are already filtered by their city)
-    if (city && req.user?.role !== 'salesman') {
-      query.city = { $regex: city, $options: 'i' };
+    if (accessibleAreas.length === 0) {
+      throw new NotFoundError('No area assigned to this user');
     }
     
-    // Status filter
-    if (isActive !== '') {
-      query.isActive = isActive === 'true';
-    }
+    // Filter by the user's cities
+    query.city = { $in: [...new Set(accessibleAreas.map(a => a.city))] };
+  }
+  
+  // Search filter
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { city: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } }
+    ];
+  }
+  
+  // City filter (only for data:all users, the rest are already filtered by their city)
+  if (city && !accessibleAreaIds) {
+    query.city = { $regex: city, $options: 'i' };
+  }
+  
+  // Status filter
+  if (isActive !== '') {
+    query.isActive = isActive === 'true';
+  }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const areas = await Area.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  const areas = await Area.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Area.countDocuments(query);
+  const totalPages = Math.ceil(total / parseInt(limit));
+
+  sendSuccess(res, {
+    areas,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      total,
+      limit: parseInt(limit)
+    }
+  }, 'Areas retrieved successfully');
+});
 
-    const total = await Area.countDocuments(query);
-    const totalPages = Math.ceil(total / parseInt(limit));
 
-    res.json({
-      success: true,
-      message: 'Areas retrieved successfully',
-      data: {
-        areas,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          total,
-          limit: parseInt(limit)
-        }
-      }
-    });
-  } catch (error) {
-    console.error('Get areas error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching areas',
-      error: error.message
-    });
+const getAreaById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const area = await Area.findById(id);
+  
+  if (!area) {
+    throw new NotFoundError('Area not found');
   }
-};
 
+  sendSuccess(res, area, 'Area retrieved successfully');
+});
 
-const getAreaById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const area = await Area.findById(id);
-    
-    if (!area) {
-      return res.status(404).json({
-        success: false,
-        message: 'Area not found'
-      });
-    }
 
-    res.json({
-      success: true,
-      message: 'Area retrieved successfully',
-      data: area
-    });
-  } catch (error) {
-    console.error('Get area by ID error:', error);
-    
-    if (error.kind === 'ObjectId') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid area ID format'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching area',
-      error: error.message
-    });
-  }
-};
+const updateArea = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description, city, location, isActive } = req.body;
 
+  // Check if area exists
+  const existingArea = await Area.findById(id);
+  if (!existingArea) {
+    throw new NotFoundError('Area not found');
+  }
 
-const updateArea = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, description, city, isActive } = req.body;
+  // Check if new name conflicts with existing area (excluding current area)
+  if (name && name !== existingArea.name) {
+    const nameConflict = await Area.findOne({
+      name: { $regex: new RegExp(`^${name}$`, 'i') },
+      _id: { $ne: id }
+    });
 
-    // Check if area exists
-    const existingArea = await Area.findById(id);
-    if (!existingArea) {
-      return res.status(404).json({
-        success: false,
-        message: 'Area not found'
-      });
+    if (nameConflict) {
+      throw new ConflictError('Area with this name already exists');
     }
+  }
 
-    // Check if new name conflicts with existing area (excluding current area)
-    if (name && name !== existingArea.name) {
-      const nameConflict = await Area.findOne({
-        name: { $regex: new RegExp(`^${name}$`, 'i') },
-        _id: { $ne: id }
-      });
+  const updatedArea = await Area.findByIdAndUpdate(
+    id,
+    { name, description, city, location: parseLocation(location) || undefined, isActive },
+    { new: true, runValidators: true }
+  );
 
-      if (nameConflict) {
-        return res.status(400).json({
-          success: false,
-          message: 'Area with this name already exists'
-        });
-      }
-    }
+  sendSuccess(res, updatedArea, 'Area updated successfully');
+});
 
-    const updatedArea = await Area.findByIdAndUpdate(
-      id,
-      { name, description, city, isActive },
-      { new: true, runValidators: true }
-    );
 
-    res.json({
-      success: true,
-      message: 'Area updated successfully',
-      data: updatedArea
-    });
-  } catch (error) {
-    console.error('Update area error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating area',
-      error: error.message
-    });
+const deleteArea = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const area = await Area.findById(id);
+  
+  if (!area) {
+    throw new NotFoundError('Area not found');
   }
-};
 
+  // Hard delete - permanently remove from database
+  await Area.findByIdAndDelete(id);
 
-const deleteArea = async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const area = await Area.findById(id);
-    
-    if (!area) {
-      return res.status(404).json({
-        success: false,
-        message: 'Area not found'
-      });
-    }
+  sendSuccess(res, { id: area._id, name: area.name }, 'Area deleted successfully');
+});
 
-    // Hard delete - permanently remove from database
-    await Area.findByIdAndDelete(id);
 
-    res.json({
-      success: true,
-      message: 'Area deleted successfully',
-      data: { id: area._id, name: area.name }
-    });
-  } catch (error) {
-    console.error('Delete area error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while deleting area',
-      error: error.message
-    });
+const toggleAreaStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const area = await Area.findById(id);
+  
+  if (!area) {
+    throw new NotFoundError('Area not found');
   }
-};
-
-
-const toggleAreaStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const area = await Area.findById(id);
-    
-    if (!area) {
-      return res.status(404).json({
-        success: false,
-        message: 'Area not found'
-      });
-    }
 
-    area.isActive = !area.isActive;
-    await area.save();
+  area.isActive = !area.isActive;
+  await area.save();
 
-    res.json({
-      success: true,
-      message: `Area ${area.isActive ? 'activated' : 'deactivated'} successfully`,
-      data: area
-    });
-  } catch (error) {
-    console.error('Toggle area status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while toggling area status',
-      error: error.message
-    });
-  }
-};
+  sendSuccess(res, area, `Area ${area.isActive ? 'activated' : 'deactivated'} successfully`);
+});
 module.exports = {
   createArea,
   getAllAreas,
@@ -0,0 +1,53 @@
+const AuditLog = require('../models/AuditLog');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+
+// @desc    Get audit logs with filtering and pagination
+// @access  Private (audit:read)
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const {
+    actor,
+    action,
+    entityType,
+    entityId,
+    dateFrom,
+    dateTo,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  let query = {};
+
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) {
+      const endDate = new Date(dateTo);
+      endDate.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = endDate;
+    }
+  }
+
+  const auditLogs = await AuditLog.find(query)
+    .populate('actor', 'firstName lastName email role')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await AuditLog.countDocuments(query);
+
+  sendSuccess(res, {
+    auditLogs,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    total
+  });
+});
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,70 +1,434 @@
-const { comparePassword } = require('../utils/helper');
+const { comparePassword, generateRandomToken, hashToken } = require('../utils/helper');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Otp = require('../models/Otp');
+const LoginAttempt = require('../models/LoginAttempt');
+const DeviceToken = require('../models/DeviceToken');
+const { deliverOtp } = require('../services/otpDeliveryService');
+const { notify } = require('../services/notificationService');
+const { registerDevice, unregisterDevices } = require('../services/push');
 const jwt = require('jsonwebtoken');
-const { validateChangePassword, validateLogin } = require('../validations/auth');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+const {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    NotFoundError,
+    TooManyRequestsError
+} = require('../utils/errors');
+const {
+    validateChangePassword,
+    validateLogin,
+    validateRefreshToken,
+    validateForgotPassword,
+    validateResetPassword
+} = require('../validations/auth');
 
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const RESET_OTP_MIN_INTERVAL = 30 * 1000; // 30 seconds
+const RESET_OTP_MAX_PER_HOUR = 5;
+const PASSWORD_CHANGE_TOKEN_EXPIRES_IN = '15m';
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+const FORGOT_PASSWORD_MESSAGE = 'If the account exists, a reset code has been sent to its registered phone number';
+
+const generateToken = (userId, sessionId) => {
+    return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 };
 
-const login = async (req, res) => {
-    try {
-        const { error } = validateLogin(req.body);
-        if (error) {
-            return res.status(400).json({ message: error.details[0].message });
-        }
-        const { username, password } = req.body;
+// Short-lived token that only allows changing the password, no session attached
+const generatePasswordChangeToken = (userId) => {
+    return jwt.sign({ userId, purpose: 'password_change' }, process.env.JWT_SECRET, {
+        expiresIn: PASSWORD_CHANGE_TOKEN_EXPIRES_IN
+    });
+};
 
-        // Find user by username or email   
-        const user = await User.findOne({
-            email: username
-        }).populate('area');
+const recordLoginAttempt = (req, email, user, reason) => {
+    return LoginAttempt.create({
+        email,
+        user: user?._id,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        success: reason === 'success',
+        reason
+    });
+};
 
-        if (!user || !user.isActive) {
-            return res.status(400).json({ message: 'Invalid credentials or user inactive' });
-        }
+// Same answer for unknown, inactive and locked accounts and wrong passwords,
+// so login responses do not tell which usernames exist
+const invalidCredentialsError = () => new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
 
-        // Check password
-        const isMatch = await comparePassword(password, user.password);
-        if (!isMatch) {
-            return res.status(400).json({ message: 'Invalid credentials' });
-        }
+// Start a new session and issue its access/refresh token pair
+const createSession = async (user, req) => {
+    const refreshToken = generateRandomToken();
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+    const session = new Session({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+    });
 
-        // Generate token
-        const token = generateToken(user._id);
+    await session.save();
 
-        res.json({
-            token,
-            user: user.getPublicProfile()
-        });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ message: 'Server error' });
+    // The app may sign its push token in together with the user. Only plain strings
+    // are accepted: the token is used as a query value
+    const { deviceToken, platform, appVersion } = req.body;
+    if (typeof deviceToken === 'string' && deviceToken.trim() && DeviceToken.PLATFORMS.includes(platform)) {
+        await registerDevice(user, {
+            token: deviceToken.trim(),
+            platform,
+            appVersion: typeof appVersion === 'string' ? appVersion : undefined
+        }, session);
     }
+
+    return {
+        token: generateToken(user._id, session._id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
 };
 
-const me = async (req, res) => {
+const login = asyncHandler(async (req, res) => {
+    const { error } = validateLogin(req.body);
+    if (error) {
+        throw new ValidationError(error.details[0].message);
+    }
+    const { username, password } = req.body;
+    const email = username.toLowerCase().trim();
+
+    // Throttle networks that keep failing, whichever accounts they try
+    const recentIpFailures = await LoginAttempt.countDocuments({
+        ip: req.ip,
+        success: false,
+        createdAt: { $gte: new Date(Date.now() - LOGIN_IP_WINDOW_MINUTES * 60 * 1000) }
+    });
+    if (recentIpFailures >= LOGIN_IP_MAX_ATTEMPTS) {
+        await recordLoginAttempt(req, email, null, 'ip_blocked');
+        throw new TooManyRequestsError('Too many failed login attempts. Please try again later');
+    }
+
+    // Find user by username or email   
+    const user = await User.findOne({
+        email
+    }).populate('area').populate('areas');
+
+    if (!user || !user.isActive) {
+        await recordLoginAttempt(req, email, user, user ? 'inactive' : 'unknown_user');
+        throw invalidCredentialsError();
+    }
+
+    if (user.isLocked()) {
+        await recordLoginAttempt(req, email, user, 'locked');
+        throw invalidCredentialsError();
+    }
+
+    // Check password
+    const isMatch = await comparePassword(password, user.password);
+    if (!isMatch) {
+        await User.registerFailedLogin(user._id, req.ip);
+        await recordLoginAttempt(req, email, user, 'invalid_password');
+        throw invalidCredentialsError();
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    user.resetLoginFailures();
+    await user.save();
+    await recordLoginAttempt(req, email, user, 'success');
+
+    // Admin-generated password: only allow changing it before a real session is issued
+    if (user.mustChangePassword) {
+        return sendSuccess(res, {
+            token: generatePasswordChangeToken(user._id),
+            expiresIn: PASSWORD_CHANGE_TOKEN_EXPIRES_IN,
+            mustChangePassword: true,
+            user: user.getPublicProfile()
+        }, 'Password change required');
+    }
+
+    // Generate tokens
+    const tokens = await createSession(user, req);
+
+    sendSuccess(res, {
+        ...tokens,
+        user: user.getPublicProfile()
+    });
+});
+
+// @desc    Exchange a refresh token for a new token pair (rotation)
+// @access  Public
+const refresh = asyncHandler(async (req, res) => {
+    const { error } = validateRefreshToken(req.body);
+    if (error) {
+        throw new ValidationError(error.details[0].message);
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+        // A rotated-out token being replayed means it leaked: kill that session
+        const reusedSession = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+        if (reusedSession && !reusedSession.revokedAt) {
+            reusedSession.revokedAt = new Date();
+            reusedSession.revokedReason = 'refresh_token_reuse';
+            await reusedSession.save();
+        }
+        throw new UnauthorizedError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (!session.isActive()) {
+        throw new UnauthorizedError('Session expired or revoked', 'SESSION_REVOKED');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+        session.revokedAt = new Date();
+        session.revokedReason = 'user_inactive';
+        await session.save();
+        throw new UnauthorizedError('Invalid token or user inactive', 'USER_INACTIVE');
+    }
+
+    const refreshToken = generateRandomToken();
+    session.previousRefreshTokenHash = tokenHash;
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    sendSuccess(res, {
+        token: generateToken(user._id, session._id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+});
+
+// @desc    Revoke the current session, or every session with allDevices
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+    if (req.body.allDevices === true || req.body.allDevices === 'true') {
+        await Session.revokeAllForUser(req.user._id, 'logout_all');
+        await unregisterDevices(req.user);
+    } else {
+        req.authSession.revokedAt = new Date();
+        req.authSession.revokedReason = 'logout';
+        await req.authSession.save();
+        await unregisterDevices(req.user, { session: req.authSession });
+    }
+
+    sendSuccess(res, null, 'Logged out successfully');
+});
+
+// @desc    Register the push token of the app signed in with this session
+// @access  Private
+const registerDeviceToken = asyncHandler(async (req, res) => {
+    const { token, platform, appVersion } = req.body;
+
+    const device = await registerDevice(req.user, { token, platform, appVersion }, req.authSession);
+
+    sendSuccess(res, {
+        _id: device._id,
+        platform: device.platform,
+        lastSeenAt: device.lastSeenAt
+    }, 'Device registered successfully', 201);
+});
+
+// @desc    Stop pushing to a device token
+// @access  Private
+const unregisterDeviceToken = asyncHandler(async (req, res) => {
+    const removed = await unregisterDevices(req.user, { token: req.body.token });
+
+    if (removed === 0) {
+        throw new NotFoundError('Device not found');
+    }
+
+    sendSuccess(res, null, 'Device unregistered successfully');
+});
+
+const me = asyncHandler(async (req, res) => {
     const user = await User.findById(req.user._id);
-    res.json(user);
-};
+    sendSuccess(res, user.getPublicProfile());
+});
 
-const changePassword = async (req, res) => {
+const changePassword = asyncHandler(async (req, res) => {
     const { error } = validateChangePassword(req.body);
     if (error) {
-        return res.status(400).json({ message: error.details[0].message });
+        throw new ValidationError(error.details[0].message);
     }
     const { currentPassword, newPassword } = req.body;
     const user = await User.findById(req.user._id);
     const isMatch = await comparePassword(currentPassword, user.password);
     if (!isMatch) {
-        return res.status(400).json({ message: 'Current password is incorrect' });
+        throw new ValidationError('Current password is incorrect', undefined, 'INVALID_CREDENTIALS');
+    }
+    if (currentPassword === newPassword) {
+        throw new ValidationError('New password must be different from the current password');
     }
+
+    // The user now has their own password, so the plaintext temp one can go
+    const wasRestricted = !req.authSession;
     user.password = newPassword;
+    user.tempPassword = null;
+    user.mustChangePassword = false;
     await user.save();
-    res.json({ message: 'Password updated successfully' });
+
+    // Sign out every other device that may still know the old password
+    const otherSessions = { user: user._id, revokedAt: null };
+    if (req.authSession) {
+        otherSessions._id = { $ne: req.authSession._id };
+    }
+    await Session.updateMany(otherSessions, { revokedAt: new Date(), revokedReason: 'password_changed' });
+
+    // A restricted password-change token is swapped for a real session
+    if (wasRestricted) {
+        const tokens = await createSession(user, req);
+        return sendSuccess(res, tokens, 'Password updated successfully');
+    }
+
+    sendSuccess(res, null, 'Password updated successfully');
+});
+
+// @desc    Send a password reset OTP to the user's phone via WhatsApp
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { error } = validateForgotPassword(req.body);
+    if (error) {
+        throw new ValidationError(error.details[0].message);
+    }
+
+    const user = await User.findOne({ email: String(req.body.username).toLowerCase().trim() });
+
+    // Same answer whether or not the account exists, to avoid leaking accounts
+    if (!user || !user.isActive || !user.phone) {
+        return sendSuccess(res, null, FORGOT_PASSWORD_MESSAGE);
+    }
+
+    const existingOTP = await Otp.findOne({
+        user: user._id,
+        purpose: 'password_reset',
+        isUsed: false
+    }).sort({ createdAt: -1 });
+
+    if (existingOTP && existingOTP.isValid()) {
+        const timeSinceLastOTP = new Date() - existingOTP.createdAt;
+
+        // Throttled silently: a distinct answer would only exist for real accounts
+        if (timeSinceLastOTP < RESET_OTP_MIN_INTERVAL) {
+            return sendSuccess(res, null, FORGOT_PASSWORD_MESSAGE);
+        }
+    }
+
+    const recentCount = await Otp.countDocuments({
+        user: user._id,
+        purpose: 'password_reset',
+        createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+    });
+
+    if (recentCount >= RESET_OTP_MAX_PER_HOUR) {
+        console.warn(`Password reset throttled for ${user.email}: ${recentCount} codes in the last hour`);
+        return sendSuccess(res, null, FORGOT_PASSWORD_MESSAGE);
+    }
+
+    const otpCode = Otp.generateOTP();
+
+    await Otp.updateMany(
+        { user: user._id, purpose: 'password_reset', isUsed: false },
+        { isUsed: true }
+    );
+
+    const otp = new Otp({
+        purpose: 'password_reset',
+        user: user._id,
+        otp: otpCode,
+        phone: user.phone
+    });
+
+    await otp.save();
+
+    // Queued or failed deliveries are not revealed, the response is the same either way
+    const { status, delivery } = await deliverOtp(otp);
+    if (status !== 'sent') {
+        console.error(`Password reset OTP send failed for ${user.email} (${status}):`, delivery.error);
+    }
+
+    sendSuccess(res, null, FORGOT_PASSWORD_MESSAGE);
+});
+
+// @desc    Set a new password using the reset OTP, signing out every session
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+    const { error } = validateResetPassword(req.body);
+    if (error) {
+        throw new ValidationError(error.details[0].message);
+    }
+
+    const { username, otp, newPassword } = req.body;
+
+    const user = await User.findOne({ email: String(username).toLowerCase().trim() });
+    if (!user || !user.isActive) {
+        throw new ValidationError('Invalid or expired reset code', undefined, 'INVALID_OTP');
+    }
+
+    const otpRecord = await Otp.findOne({
+        user: user._id,
+        purpose: 'password_reset',
+        isUsed: false
+    }).sort({ createdAt: -1 });
+
+    if (!otpRecord) {
+        throw new ValidationError('Invalid or expired reset code', undefined, 'INVALID_OTP');
+    }
+
+    if (!otpRecord.isValid()) {
+        otpRecord.isUsed = true;
+        await otpRecord.save();
+
+        throw new ValidationError('Reset code has expired or exceeded maximum attempts', undefined, 'OTP_EXPIRED');
+    }
+
+    const attempt = await Otp.registerAttempt(otpRecord._id);
+    if (!attempt) {
+        throw new ValidationError('Reset code has expired or exceeded maximum attempts', undefined, 'OTP_EXPIRED');
+    }
+
+    if (attempt.otp !== String(otp)) {
+        throw new AppError('Invalid or expired reset code', 400, 'INVALID_OTP', {
+            attemptsLeft: Otp.MAX_ATTEMPTS - attempt.attempts
+        });
+    }
+
+    // Only one of several parallel requests with the right code may use it
+    const spent = await Otp.findOneAndUpdate({ _id: attempt._id, isUsed: false }, { isUsed: true });
+    if (!spent) {
+        throw new ValidationError('Invalid or expired reset code', undefined, 'INVALID_OTP');
+    }
+
+    user.password = newPassword;
+    user.tempPassword = null;
+    user.mustChangePassword = false;
+    user.resetLoginFailures();
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    await notify('password_reset', {
+        recipients: user,
+        entity: { type: 'User', id: user._id }
+    });
+
+    sendSuccess(res, null, 'Password reset successfully. Please log in with your new password');
+});
+
+module.exports = {
+    login,
+    refresh,
+    logout,
+    me,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    registerDeviceToken,
+    unregisterDeviceToken
 };
-module.exports = { login, me, changePassword };
\ No newline at end of file
@@ -1,335 +1,491 @@
-const { validationResult } = require('express-validator');
 const Client = require('../models/Client');
 const Area = require('../models/Area');
 const User = require('../models/User');
+const { getAccessibleAreaIds, isAreaAccessible } = require('../utils/scope');
+const { findDuplicates, mergeClients } = require('../services/clientDedupService');
+const { parseClientFile, importClients: runClientImport } = require('../services/clientImportService');
+const { recordAudit } = require('../services/auditService');
+const { notify } = require('../services/notificationService');
+const { streamClientExport } = require('../services/clientExportService');
+const { getClientTimeline: buildClientTimeline } = require('../services/clientTimelineService');
+const { parseLocation } = require('../utils/geo');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Limit client lookups and updates to the areas the user may access
+const accessibleClientFilter = async (user) => {
+  const accessibleAreaIds = await getAccessibleAreaIds(user);
+  return accessibleAreaIds ? { area: { $in: accessibleAreaIds } } : {};
+};
 
-const createClient = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+// Filter for opening a single client: users without clients:read_all (salesmen)
+// only open the clients assigned to them
+const clientReadFilter = async (user) => ({
+  ...await accessibleClientFilter(user),
+  ...(!user.hasPermission('clients:read_all') && { salesman: user._id })
+});
+
+// Area-scoped users may only put clients in their own areas
+const checkAreaAccessible = async (user, areaId) => {
+  const accessibleAreaIds = await getAccessibleAreaIds(user);
+  if (!isAreaAccessible(accessibleAreaIds, areaId)) {
+    throw new ForbiddenError('Area is not assigned to you', 'AREA_NOT_ACCESSIBLE');
+  }
+};
 
-    const { name, company, email, phone, address, area, status, notes } = req.body;
+const createClient = asyncHandler(async (req, res) => {
+  const { name, company, email, phone, address, area, status, notes, location } = req.body;
 
-    const areaExists = await Area.findById(area);
-    if (!areaExists) {
-      return res.status(400).json({ message: 'Area not found' });
-    }
+  const areaExists = await Area.findById(area);
+  if (!areaExists) {
+    throw new ValidationError('Area not found');
+  }
 
-    const client = new Client({
-      name,
-      company,
-      email,
-      phone,
-      address,
-      area,
-      notes,
-    });
+  await checkAreaAccessible(req.user, areaExists._id);
 
-    await client.save();
+  // The same shop is often entered by several salesmen, force skips the check once confirmed
+  const force = req.body.force === true || req.body.force === 'true';
+  if (!force) {
+    const duplicates = await findDuplicates({ phone, name, company, area });
+    if (duplicates.length > 0) {
+      throw new ConflictError('A similar client already exists', 'DUPLICATE_CLIENT', { duplicates });
+    }
+  }
 
-    const clientResponse = await Client.findById(client._id)
-      .populate('area', 'name city state')
+  const client = new Client({
+    name,
+    company,
+    email,
+    phone,
+    address,
+    location: parseLocation(location) || undefined,
+    area,
+    notes,
+  });
+
+  await client.save();
+
+  const clientResponse = await Client.findById(client._id)
+    .populate('area', 'name city state')
+
+  sendSuccess(res, clientResponse, 'Client created successfully', 201);
+});
+
+// Build the client filter shared by the listing and the export from the query string
+const buildClientQuery = async (user, { area, salesman, status, search }) => {
+  let query = {  };
+  
+  const accessibleAreaIds = await getAccessibleAreaIds(user);
+
+  if (accessibleAreaIds) {
+    // For area-scoped users, we need to check if they can access the requested area
+    if (area) {
+      // Get the cities of every area the user can access
+      const accessibleAreas = await Area.find({ _id: { $in: accessibleAreaIds } }).select('city');
+
+      if (accessibleAreas.length === 0) {
+        throw new NotFoundError('No area assigned to this user');
+      }
 
-    res.status(201).json(clientResponse);
-  } catch (error) {
-    console.error('Create client error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+      // Check if the requested area is in one of those cities
+      const requestedArea = await Area.findById(area);
+      if (!requestedArea) {
+        throw new NotFoundError('Area not found');
+      }
 
-const getClients = async (req, res) => {
-  try {
-    const { area, status, search, page = 1, limit = 20 } = req.query;
-    
-    let query = {  };
-    
-    if (req.user?.role === 'salesman') {
-      // For salesmen, we need to check if they can access the requested area
-      if (area) {
-        // Get salesman's area info
-        const user = await User.findById(req.user._id).populate('area', 'city');
-        
-        if (!user || !user.area) {
-          return res.status(404).json({ message: 'No area assigned to this salesman' });
-        }
-
-        // Check if the requested area is in the same city as salesman's area
-        const requestedArea = await Area.findById(area);
-        if (!requestedArea) {
-          return res.status(404).json({ message: 'Area not found' });
-        }
-
-        if (requestedArea.city !== user.area.city) {
-          return res.status(403).json({ 
-            message: 'You can only access areas in your assigned city',
-            error: 'CITY_ACCESS_DENIED'
-          });
-        }
-
-        query.area = area;
-      } else {
-        // If no area specified, show clients from salesman's assigned area
-        query.area = req.user.area;
+      if (!accessibleAreas.some(a => a.city === requestedArea.city)) {
+        throw new ForbiddenError('You can only access areas in your assigned city', 'CITY_ACCESS_DENIED');
       }
-      
-      query.isActive = true;
-    } else if (area) {
+
       query.area = area;
+    } else {
+      // If no area specified, show clients from the user's (and their team's) areas
+      query.area = { $in: accessibleAreaIds };
     }
     
-    if (status) query.status = status;
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { company: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    const clients = await Client.find(query)
-      .populate('area', 'name city state')
-      .populate('salesman', 'firstName lastName email phone')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Client.countDocuments(query);
-
-    res.json({
-      clients,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total,
-      ...(req.user?.role === 'salesman' && {
-        salesmanArea: {
-          _id: req.user.area._id,
-          name: req.user.area.name,
-          city: req.user.area.city,
-          state: req.user.area.state
-        }
-      })
-    });
-  } catch (error) {
-    console.error('Get clients error:', error);
-    res.status(500).json({ message: 'Server error' });
+    query.isActive = true;
+  } else if (area) {
+    query.area = area;
   }
+  
+  if (salesman) query.salesman = salesman;
+  if (status) query.status = status;
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { company: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return { query, accessibleAreaIds };
 };
 
-const getClientById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    let query = { _id: id, isActive: true };
-    
-    if (req.user.role === 'salesman') {
-      query.salesman = req.user._id;
-    }
+const getClients = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const { query, accessibleAreaIds } = await buildClientQuery(req.user, req.query);
+
+  const clients = await Client.find(query)
+    .populate('area', 'name city state')
+    .populate('salesman', 'firstName lastName email phone')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Client.countDocuments(query);
+
+  sendSuccess(res, {
+    clients,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    total,
+    ...(accessibleAreaIds && req.user.area && {
+      salesmanArea: {
+        _id: req.user.area._id,
+        name: req.user.area.name,
+        city: req.user.area.city,
+        state: req.user.area.state
+      }
+    })
+  });
+});
+
+// @desc    Export clients as CSV or XLSX with the same filters as the listing
+// @access  Private (clients:export)
+const exportClients = asyncHandler(async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) {
+    throw new ValidationError('Format must be csv or xlsx');
+  }
 
-    const client = await Client.findOne(query)
-      .populate('area', 'name city state')
-      .populate('salesman', 'firstName lastName email phone')
+  const { query } = await buildClientQuery(req.user, req.query);
 
-    if (!client) {
-      return res.status(404).json({ message: 'Client not found' });
-    }
+  await streamClientExport(res, query, format);
+});
+
+const getClientById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const query = { ...await clientReadFilter(req.user), _id: id, isActive: true };
 
-    res.json(client);
-  } catch (error) {
-    console.error('Get client error:', error);
-    res.status(500).json({ message: 'Server error' });
+  const client = await Client.findOne(query)
+    .populate('area', 'name city state')
+    .populate('salesman', 'firstName lastName email phone')
+
+  if (!client) {
+    throw new NotFoundError('Client not found');
   }
-};
 
-const updateClient = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  sendSuccess(res, client);
+});
 
-    const { id } = req.params;
-    const updateData = req.body;
+// @desc    Chronological feed of feedback, OTP events and changes for a client
+// @access  Private (clients:read)
+const getClientTimeline = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
-    if (updateData.area) {
-      const areaExists = await Area.findById(updateData.area);
-      if (!areaExists) {
-        return res.status(400).json({ message: 'Area not found' });
-      }
-    }
+  // Same access as opening the client
+  const readFilter = await clientReadFilter(req.user);
+  const query = { ...readFilter, _id: id };
 
+  // Only unrestricted users see the history of deactivated clients
+  if (Object.keys(readFilter).length > 0) {
+    query.isActive = true;
+  }
+
+  const client = await Client.findOne(query).select('name phone createdAt');
+
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
 
-    const client = await Client.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('area', 'name city state')
+  const timeline = await buildClientTimeline(client, { page, limit });
 
-    if (!client) {
-      return res.status(404).json({ message: 'Client not found' });
+  sendSuccess(res, {
+    client: { _id: client._id, name: client.name },
+    ...timeline
+  });
+});
+
+const updateClient = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  // Merge bookkeeping is only changed through the merge endpoint
+  const { force, normalizedPhone, mergedInto, mergedAt, mergedBy, ...updateData } = req.body;
+
+  if (updateData.area) {
+    const areaExists = await Area.findById(updateData.area);
+    if (!areaExists) {
+      throw new ValidationError('Area not found');
     }
 
-    res.json(client);
-  } catch (error) {
-    console.error('Update client error:', error);
-    res.status(500).json({ message: 'Server error' });
+    await checkAreaAccessible(req.user, areaExists._id);
   }
-};
 
-const deleteClient = async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const client = await Client.findByIdAndUpdate(
-      id,
-      { isActive: false },
-      { new: true }
-    );
-
-    if (!client) {
-      return res.status(404).json({ message: 'Client not found' });
+  if (updateData.phone) {
+    if (force !== true && force !== 'true') {
+      const duplicates = await findDuplicates({ phone: updateData.phone }, { excludeId: id, phoneOnly: true });
+      if (duplicates.length > 0) {
+        throw new ConflictError('Another client already uses this phone number', 'DUPLICATE_CLIENT', { duplicates });
+      }
     }
 
-    res.json({ message: 'Client deactivated successfully' });
-  } catch (error) {
-    console.error('Delete client error:', error);
-    res.status(500).json({ message: 'Server error' });
+    updateData.normalizedPhone = Client.normalizePhone(updateData.phone);
   }
-};
 
-const assignSalesman = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  // Sent as { lat, lng }, null clears a wrongly pinned location
+  if (updateData.location === null) {
+    delete updateData.location;
+    updateData.$unset = { location: 1 };
+  } else if (updateData.location !== undefined) {
+    updateData.location = parseLocation(updateData.location) || undefined;
+  }
 
-    const { id } = req.params;
-    const { salesmanId } = req.body;
+  const client = await Client.findOneAndUpdate(
+    { ...await accessibleClientFilter(req.user), _id: id },
+    updateData,
+    { new: true, runValidators: true }
+  ).populate('area', 'name city state')
 
-    const salesman = await User.findById(salesmanId);
-    if (!salesman || salesman.role !== 'salesman' || !salesman.isActive) {
-      return res.status(400).json({ message: 'Invalid salesman' });
-    }
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
 
-    const client = await Client.findByIdAndUpdate(
-      id,
-      { new: true }
-    ).populate('area', 'name city state')
+  sendSuccess(res, client, 'Client updated successfully');
+});
 
-    if (!client) {
-      return res.status(404).json({ message: 'Client not found' });
-    }
+const deleteClient = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const client = await Client.findOneAndUpdate(
+    { ...await accessibleClientFilter(req.user), _id: id },
+    { isActive: false },
+    { new: true }
+  );
 
-    res.json(client);
-  } catch (error) {
-    console.error('Assign salesman error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (!client) {
+    throw new NotFoundError('Client not found');
   }
-};
 
-    
-const toggleClientStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    console.log('Toggling status for client ID:', id);
+  sendSuccess(res, null, 'Client deactivated successfully');
+});
 
-    const client = await Client.findById(id);
+const assignSalesman = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { salesmanId } = req.body;
 
-    if (!client) {
-      console.log('Client not found with ID:', id);
-      return res.status(404).json({ message: 'Client not found' });
-    }
+  const salesman = await User.findById(salesmanId);
+  if (!salesman || salesman.role !== 'salesman' || !salesman.isActive) {
+    throw new ValidationError('Invalid salesman');
+  }
 
-    const previousStatus = client.isActive;
-    client.isActive = !client.isActive;
-    await client.save();
+  // Area-scoped users only assign salesmen working in one of their areas
+  const accessibleAreaIds = await getAccessibleAreaIds(req.user);
+  if (accessibleAreaIds && !salesman.getAreaIds().some(areaId => isAreaAccessible(accessibleAreaIds, areaId))) {
+    throw new ForbiddenError('Salesman does not work in your areas', 'AREA_NOT_ACCESSIBLE');
+  }
 
-    console.log(`Client ${client.name} status changed from ${previousStatus} to ${client.isActive}`);
+  const client = await Client.findOneAndUpdate(
+    { ...(accessibleAreaIds && { area: { $in: accessibleAreaIds } }), _id: id },
+    { salesman: salesman._id },
+    { new: true }
+  ).populate('area', 'name city state')
+    .populate('salesman', 'firstName lastName email phone')
 
-    res.json({
-      message: `Client ${client.isActive ? 'activated' : 'deactivated'} successfully`,
-      data: {
-        _id: client._id,
-        isActive: client.isActive,
-        name: client.name
-      }
-    });
-  } catch (error) {
-    console.error('Toggle client status error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (!client) {
+    throw new NotFoundError('Client not found');
   }
-};
 
-const getSalesmenByCity = async (req, res) => {
-  try {
-    const { city } = req.query;
+  await notify('client_assigned', {
+    recipients: salesman,
+    actor: req.user,
+    entity: { type: 'Client', id: client._id },
+    data: {
+      clientName: client.name,
+      clientPhone: client.phone,
+      assignedBy: `${req.user.firstName} ${req.user.lastName}`
+    },
+    fields: { client: client._id }
+  });
+
+  sendSuccess(res, client, 'Salesman assigned successfully');
+});
+
     
-    if (!city) {
-      return res.status(400).json({ message: 'City parameter is required' });
-    }
+const toggleClientStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  console.log('Toggling status for client ID:', id);
 
-    // Find areas in the specified city
-    const areas = await Area.find({ city: city, isActive: true });
-    const areaIds = areas.map(area => area._id);
-
-    // Find salesmen assigned to areas in this city
-    const salesmen = await User.find({
-      role: 'salesman',
-      area: { $in: areaIds },
-      isActive: true
-    }).select('firstName lastName email phone area').populate('area', 'name city state');
-
-    res.json(salesmen);
-  } catch (error) {
-    console.error('Get salesmen by city error:', error);
-    res.status(500).json({ message: 'Server error' });
+  const client = await Client.findOne({ ...await accessibleClientFilter(req.user), _id: id });
+
+  if (!client) {
+    console.log('Client not found with ID:', id);
+    throw new NotFoundError('Client not found');
   }
-};
 
-const getAreasBySalesmanCity = async (req, res) => {
-  try {
-    if (req.user.role !== 'salesman') {
-      return res.status(403).json({ message: 'Access denied. Salesman role required.' });
-    }
+  const previousStatus = client.isActive;
+  client.isActive = !client.isActive;
+  await client.save();
 
-    const user = await User.findById(req.user._id).populate('area', 'city');
-    
-    if (!user || !user.area) {
-      return res.status(404).json({ message: 'No area assigned to this salesman' });
-    }
+  console.log(`Client ${client.name} status changed from ${previousStatus} to ${client.isActive}`);
 
-    // Get all areas in the same city as the salesman's area
-    const areas = await Area.find({ 
+  sendSuccess(res, {
+    _id: client._id,
+    isActive: client.isActive,
+    name: client.name
+  }, `Client ${client.isActive ? 'activated' : 'deactivated'} successfully`);
+});
+
+const getSalesmenByCity = asyncHandler(async (req, res) => {
+  const { city } = req.query;
+  
+  if (!city) {
+    throw new ValidationError('City parameter is required');
+  }
+
+  // Find areas in the specified city
+  const areas = await Area.find({ city: city, isActive: true });
+  const areaIds = areas.map(area => area._id);
+
+  // Find salesmen covering any area in this city
+  const salesmen = await User.find({
+    role: 'salesman',
+    $or: [
+      { area: { $in: areaIds } },
+      { areas: { $in: areaIds } }
+    ],
+    isActive: true
+  }).select('firstName lastName email phone area areas')
+    .populate('area', 'name city state')
+    .populate('areas', 'name city state');
+
+  sendSuccess(res, salesmen);
+});
+
+const getAreasBySalesmanCity = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .populate('area', 'name city state')
+    .populate('areas', 'name city state');
+  
+  if (!user || !user.area) {
+    throw new NotFoundError('No area assigned to this salesman');
+  }
+
+  // Get all areas in the cities of every area the salesman covers
+  const cities = [...new Set([user.area, ...user.areas].filter(Boolean).map(a => a.city))];
+  const areas = await Area.find({ 
+    city: { $in: cities },
+    isActive: true 
+  }).select('name city state');
+
+  sendSuccess(res, {
+    areas,
+    salesmanArea: {
+      _id: user.area._id,
+      name: user.area.name,
       city: user.area.city,
-      isActive: true 
-    }).select('name city state');
+      state: user.area.state
+    },
+    salesmanAreas: user.areas
+  });
+});
+
+// @desc    Get possible duplicates of a client
+// @access  Private (clients:merge)
+const getClientDuplicates = asyncHandler(async (req, res) => {
+  const client = await Client.findById(req.params.id);
+
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
 
-    res.json({
-      areas,
-      salesmanArea: {
-        _id: user.area._id,
-        name: user.area.name,
-        city: user.area.city,
-        state: user.area.state
+  const duplicates = await findDuplicates(client, { excludeId: client._id });
+
+  sendSuccess(res, { client, duplicates });
+});
+
+// @desc    Merge a duplicate client into this one
+// @access  Private (clients:merge)
+const mergeClient = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { duplicateId } = req.body;
+
+  const duplicateBefore = await Client.findById(duplicateId).lean();
+
+  const result = await mergeClients(id, duplicateId, req.user);
+
+  // The audit middleware covers the surviving client, the merged one is recorded here
+  await recordAudit(req, {
+    action: 'client.merged_into',
+    entityType: 'Client',
+    entityId: result.duplicate._id,
+    before: duplicateBefore,
+    after: result.duplicate.toObject()
+  });
+
+  const client = await Client.findById(result.client._id)
+    .populate('area', 'name city state')
+    .populate('salesman', 'firstName lastName email phone');
+
+  sendSuccess(res, {
+    client,
+    duplicate: {
+      _id: result.duplicate._id,
+      name: result.duplicate.name,
+      mergedInto: result.duplicate.mergedInto
+    },
+    moved: result.moved
+  }, 'Clients merged successfully');
+});
+
+// @desc    Import clients from a CSV/XLSX file, as a dry run unless dryRun is false
+// @access  Private (clients:write)
+const importClients = asyncHandler(async (req, res) => {
+  const file = (req.files || []).find(f => f.fieldname === 'file') || (req.files || [])[0];
+
+  if (!file) {
+    throw new ValidationError('A CSV or XLSX file is required');
+  }
+
+  const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+  const rows = await parseClientFile(file);
+  const report = await runClientImport(rows, { user: req.user, dryRun });
+
+  if (!dryRun && report.summary.created > 0) {
+    await recordAudit(req, {
+      action: 'client.import',
+      entityType: 'Client',
+      after: {
+        fileName: file.originalname,
+        ...report.summary,
+        clientIds: report.rows.filter(r => r.clientId).map(r => r.clientId)
       }
     });
-  } catch (error) {
-    console.error('Get areas by salesman city error:', error);
-    res.status(500).json({ message: 'Server error' });
   }
-};
+
+  sendSuccess(
+    res,
+    report,
+    dryRun ? 'Dry run completed, no clients were created' : `${report.summary.created} clients imported`,
+    dryRun ? 200 : 201
+  );
+});
 
 module.exports = {
   createClient,
   getClients,
+  exportClients,
   getClientById,
+  getClientTimeline,
   updateClient,
   deleteClient,
   assignSalesman,
   toggleClientStatus,
   getSalesmenByCity,
-  getAreasBySalesmanCity
+  getAreasBySalesmanCity,
+  getClientDuplicates,
+  mergeClient,
+  importClients
 };
@@ -1,123 +1,449 @@
 const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { toPreferenceUpdate } = require('../services/notificationPreferences');
+const { IN_APP_REQUIRED_TYPES, isInAppRequired } = require('../config/notificationTemplates');
+const { EVENTS, publishUnreadChanged, subscribe } = require('../services/notificationBus');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+const { NotFoundError, ValidationError } = require('../utils/errors');
 
-// @desc    Get all notifications/audit logs
-// @access  Private (Admin only)
-const getNotifications = async (req, res) => {
-  try {
-    const { type, salesmanId, clientId, page = 1, limit = 50 } = req.query;
-
-    let query = {};
-
-    // Admin can see all, salesman can only see their own
-    if (req.user.role === 'salesman') {
-      query.salesman = req.user._id;
-    } else if (salesmanId) {
-      query.salesman = salesmanId;
-    }
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_COUNT_DEBOUNCE_MS = 1000;
 
-    if (type) {
-      query.type = type;
-    }
+// Update applied by each bulk action other than delete
+const BULK_UPDATES = {
+  read: () => ({ isRead: true, readAt: new Date() }),
+  unread: () => ({ isRead: false, readAt: null }),
+  archive: () => ({ isArchived: true, archivedAt: new Date() }),
+  unarchive: () => ({ isArchived: false, archivedAt: null })
+};
 
-    if (clientId) {
-      query.client = clientId;
-    }
+// notifications:read_all reads every notification, notifications:manage also acts on them;
+// everyone else only reads and acts on their own
+const canReadAll = (user) => user.hasPermission('notifications:read_all') || user.hasPermission('notifications:manage');
+
+const ownershipFilter = (user) => {
+  return user.hasPermission('notifications:manage') ? {} : Notification.recipientFilter(user._id);
+};
+
+// Archived notifications are out of the inbox and do not count as unread
+const countUnread = (user) => {
+  return Notification.countDocuments({ ...ownershipFilter(user), isRead: false, isArchived: { $ne: true } });
+};
+
+// Query for a bulk action: explicit ids and/or filter criteria, within what the user may touch
+const buildBulkQuery = (user, { ids, filter = {} }) => {
+  const query = { ...ownershipFilter(user) };
+  const criteria = Object.keys(query).length;
+
+  if (ids) {
+    query._id = { $in: ids };
+  }
+
+  if (filter.type) {
+    query.type = filter.type;
+  }
 
-    const notifications = await Notification.find(query)
-      .populate('salesman', 'firstName lastName email')
-      .populate('client', 'name company phone area')
-      .populate('otpId', 'otp expiresAt isUsed')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Notification.countDocuments(query);
-
-    res.json({
-      notifications,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      total
-    });
-  } catch (error) {
-    console.error('Get notifications error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (filter.isRead !== undefined) {
+    query.isRead = filter.isRead === true || filter.isRead === 'true';
   }
+
+  if (filter.isArchived !== undefined) {
+    query.isArchived = filter.isArchived === true || filter.isArchived === 'true' ? true : { $ne: true };
+  }
+
+  if (filter.clientId) {
+    query.client = filter.clientId;
+  }
+
+  if (filter.before) {
+    query.createdAt = { $lt: new Date(filter.before) };
+  }
+
+  if (filter.recipientId && user.hasPermission('notifications:manage')) {
+    Object.assign(query, Notification.recipientFilter(filter.recipientId));
+  }
+
+  // Never let an empty request touch every notification
+  if (Object.keys(query).length === criteria) {
+    throw new ValidationError('Provide notification ids or at least one filter', [
+      { path: 'ids', value: ids, msg: 'Provide notification ids or at least one filter' }
+    ]);
+  }
+
+  return query;
 };
 
+const isVisibleTo = (user, notification) => {
+  return canReadAll(user) ||
+    (notification.recipient || notification.salesman)?.toString() === user._id.toString();
+};
+
+// @desc    Get all notifications/audit logs
+// @access  Private (notifications:read)
+const getNotifications = asyncHandler(async (req, res) => {
+  const { type, recipientId, salesmanId, clientId, isRead, isArchived, page = 1, limit = 50 } = req.query;
+
+  let query = {};
+
+  // notifications:read_all sees all, everyone else only their own
+  if (!canReadAll(req.user)) {
+    query = Notification.recipientFilter(req.user._id);
+  } else if (recipientId || salesmanId) {
+    query = Notification.recipientFilter(recipientId || salesmanId);
+  }
+
+  if (type) {
+    query.type = type;
+  }
+
+  if (clientId) {
+    query.client = clientId;
+  }
+
+  if (isRead !== undefined) {
+    query.isRead = isRead === 'true';
+  }
+
+  // The inbox hides archived notifications unless asked for them
+  query.isArchived = isArchived === 'true' ? true : { $ne: true };
+
+  const notifications = await Notification.find(query)
+    .populate('recipient', 'firstName lastName email role')
+    .populate('actor', 'firstName lastName')
+    .populate('salesman', 'firstName lastName email')
+    .populate('client', 'name company phone area')
+    .populate('otpId', 'expiresAt isUsed deliveryStatus')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Notification.countDocuments(query);
+
+  sendSuccess(res, {
+    notifications,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    total
+  });
+});
+
 // @desc    Get unread notification count
 // @access  Private
-const getUnreadCount = async (req, res) => {
-  try {
-    let query = { isRead: false };
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const count = await countUnread(req.user);
 
-    // Admin sees all unread, salesman sees only their own
-    if (req.user.role === 'salesman') {
-      query.salesman = req.user._id;
-    }
+  sendSuccess(res, { count });
+});
+
+// @desc    Mark notification as read
+// @access  Private
+const markAsRead = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    const count = await Notification.countDocuments(query);
+  let query = { _id: id };
 
-    res.json({ count });
-  } catch (error) {
-    console.error('Get unread count error:', error);
-    res.status(500).json({ message: 'Server error' });
+  // Only notifications:manage can mark other users' notifications as read
+  if (!req.user.hasPermission('notifications:manage')) {
+    query = { ...Notification.recipientFilter(req.user._id), _id: id };
   }
-};
 
-// @desc    Mark notification as read
+  const notification = await Notification.findOneAndUpdate(
+    query,
+    { isRead: true, readAt: new Date() },
+    { new: true }
+  );
+
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  publishUnreadChanged(notification.recipient);
+
+  sendSuccess(res, notification, 'Notification marked as read');
+});
+
+// @desc    Mark all notifications as read
 // @access  Private
-const markAsRead = async (req, res) => {
-  try {
-    const { id } = req.params;
+const markAllAsRead = asyncHandler(async (req, res) => {
+  let query = { isRead: false };
 
-    let query = { _id: id };
+  // notifications:manage marks all, everyone else only their own
+  if (!req.user.hasPermission('notifications:manage')) {
+    query = { ...Notification.recipientFilter(req.user._id), isRead: false };
+  }
 
-    // Salesman can only mark their own notifications as read
-    if (req.user.role === 'salesman') {
-      query.salesman = req.user._id;
-    }
+  await Notification.updateMany(query, { isRead: true, readAt: new Date() });
 
-    const notification = await Notification.findOneAndUpdate(
-      query,
-      { isRead: true },
-      { new: true }
-    );
+  publishUnreadChanged(req.user.hasPermission('notifications:manage') ? null : req.user._id);
 
-    if (!notification) {
-      return res.status(404).json({ message: 'Notification not found' });
-    }
+  sendSuccess(res, null, 'All notifications marked as read');
+});
+
+// @desc    Archive or unarchive a notification
+// @access  Private
+const archiveNotification = asyncHandler(async (req, res) => {
+  const archived = req.body.archived !== false && req.body.archived !== 'false';
+
+  const notification = await Notification.findOneAndUpdate(
+    { ...ownershipFilter(req.user), _id: req.params.id },
+    { isArchived: archived, archivedAt: archived ? new Date() : null },
+    { new: true }
+  );
 
-    res.json({ message: 'Notification marked as read', notification });
-  } catch (error) {
-    console.error('Mark as read error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
   }
-};
 
-// @desc    Mark all notifications as read
+  if (!notification.isRead) {
+    publishUnreadChanged(notification.recipient);
+  }
+
+  sendSuccess(res, notification, archived ? 'Notification archived' : 'Notification unarchived');
+});
+
+// @desc    Delete a notification
 // @access  Private
-const markAllAsRead = async (req, res) => {
-  try {
-    let query = { isRead: false };
+const deleteNotification = asyncHandler(async (req, res) => {
+  const query = { ...ownershipFilter(req.user), _id: req.params.id };
+  const existing = await Notification.findOne(query).select('type');
 
-    // Admin marks all, salesman marks only their own
-    if (req.user.role === 'salesman') {
-      query.salesman = req.user._id;
-    }
+  if (!existing) {
+    throw new NotFoundError('Notification not found');
+  }
 
-    await Notification.updateMany(query, { isRead: true });
+  if (isInAppRequired(existing.type)) {
+    throw new ValidationError('This notification is kept on record and can only be archived', undefined, 'NOTIFICATION_REQUIRED');
+  }
+
+  const notification = await Notification.findOneAndDelete(query);
 
-    res.json({ message: 'All notifications marked as read' });
-  } catch (error) {
-    console.error('Mark all as read error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
   }
-};
+
+  if (!notification.isRead && !notification.isArchived) {
+    publishUnreadChanged(notification.recipient);
+  }
+
+  sendSuccess(res, null, 'Notification deleted successfully');
+});
+
+// @desc    Mark read/unread, archive/unarchive or delete notifications by ids or filter
+// @access  Private
+const bulkUpdateNotifications = asyncHandler(async (req, res) => {
+  const { action, ids, filter } = req.body;
+  const query = buildBulkQuery(req.user, { ids, filter });
+
+  let count;
+  if (action === 'delete') {
+    // Notifications kept on record are left out, they can only be archived
+    const result = await Notification.deleteMany({ $and: [query, { type: { $nin: IN_APP_REQUIRED_TYPES } }] });
+    count = result.deletedCount;
+  } else {
+    const result = await Notification.updateMany(query, BULK_UPDATES[action]());
+    count = result.modifiedCount;
+  }
+
+  if (count > 0) {
+    publishUnreadChanged(req.user.hasPermission('notifications:manage') ? null : req.user._id);
+  }
+
+  sendSuccess(res, { action, count }, `${count} notification(s) updated`);
+});
+
+// @desc    Notification volume per type
+// @access  Private (notifications:manage)
+const getNotificationStats = asyncHandler(async (req, res) => {
+  const { dateFrom, dateTo } = req.query;
+
+  const matchQuery = {};
+  if (dateFrom || dateTo) {
+    matchQuery.createdAt = {};
+    if (dateFrom) matchQuery.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) matchQuery.createdAt.$lte = new Date(dateTo);
+  }
+
+  const byType = await Notification.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$type',
+        total: { $sum: 1 },
+        unread: { $sum: { $cond: [{ $eq: ['$isRead', false] }, 1, 0] } },
+        archived: { $sum: { $cond: [{ $eq: ['$isArchived', true] }, 1, 0] } },
+        recipients: { $addToSet: { $ifNull: ['$recipient', '$salesman'] } },
+        lastCreatedAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        type: '$_id',
+        total: 1,
+        unread: 1,
+        archived: 1,
+        recipients: { $size: '$recipients' },
+        lastCreatedAt: 1
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  const totals = byType.reduce((sum, item) => ({
+    total: sum.total + item.total,
+    unread: sum.unread + item.unread,
+    archived: sum.archived + item.archived
+  }), { total: 0, unread: 0, archived: 0 });
+
+  sendSuccess(res, {
+    byType,
+    totals,
+    dateRange: { dateFrom, dateTo }
+  });
+});
+
+// @desc    Server-Sent Events stream of new notifications and unread count changes
+// @access  Private (notifications:read)
+const streamNotifications = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  // Set up cleanup before anything is awaited: a client that disconnects while the
+  // first count runs must not leave subscriptions and timers behind
+  let closed = false;
+  let heartbeat = null;
+  let expiry = null;
+  let countTimer = null;
+  let unsubscribeCreated = () => {};
+  let unsubscribeUnread = () => {};
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    clearTimeout(countTimer);
+    unsubscribeCreated();
+    unsubscribeUnread();
+  });
+
+  let lastCount = await countUnread(user);
+  if (closed || req.destroyed) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Keep reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Unread count updates are batched: new notifications bump the count without a
+  // query, only read/archive/delete changes are recounted, at most once per window
+  let pendingIncrement = 0;
+  let needsRecount = false;
+
+  const flushCount = async () => {
+    countTimer = null;
+    try {
+      let value;
+      if (needsRecount) {
+        needsRecount = false;
+        pendingIncrement = 0;
+        value = await countUnread(user);
+      } else {
+        value = lastCount + pendingIncrement;
+        pendingIncrement = 0;
+      }
+
+      if (value !== lastCount) {
+        lastCount = value;
+        send('unread-count', { count: value });
+      }
+    } catch (error) {
+      console.error('Notification stream count error:', error);
+    }
+  };
+
+  const scheduleCount = ({ recount = false } = {}) => {
+    if (recount) {
+      needsRecount = true;
+    } else {
+      pendingIncrement += 1;
+    }
+    if (!countTimer && !closed) {
+      countTimer = setTimeout(flushCount, STREAM_COUNT_DEBOUNCE_MS);
+    }
+  };
+
+  // Whether a notification is part of the user's unread count (see countUnread)
+  const countsForUser = (notification) => {
+    return user.hasPermission('notifications:manage') ||
+      (notification.recipient || notification.salesman)?.toString() === user._id.toString();
+  };
+
+  send('ready', { userId: user._id });
+  send('unread-count', { count: lastCount });
+
+  unsubscribeCreated = subscribe(EVENTS.CREATED, (notification) => {
+    if (!isVisibleTo(user, notification)) return;
+    send('notification', notification);
+    if (countsForUser(notification) && !notification.isRead && !notification.isArchived) {
+      scheduleCount();
+    }
+  });
+
+  unsubscribeUnread = subscribe(EVENTS.UNREAD_CHANGED, (recipientId) => {
+    if (recipientId && recipientId.toString() !== user._id.toString() && !user.hasPermission('notifications:manage')) return;
+    scheduleCount({ recount: true });
+  });
+
+  // Comments keep idle connections open through proxies
+  heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, STREAM_HEARTBEAT_MS);
+
+  // Close when the access token expires, the client reconnects with a fresh one
+  expiry = req.authExpiresAt
+    ? setTimeout(() => {
+      send('token-expired', {});
+      res.end();
+    }, Math.min(Math.max(req.authExpiresAt - Date.now(), 0), 2 ** 31 - 1))
+    : null;
+});
+
+// @desc    Get the notification preferences of the logged in user
+// @access  Private
+const getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('notificationPreferences');
+
+  sendSuccess(res, user.notificationPreferences);
+});
+
+// @desc    Update the notification preferences of the logged in user (partial)
+// @access  Private
+const updatePreferences = asyncHandler(async (req, res) => {
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: toPreferenceUpdate(req.body) },
+    { new: true, runValidators: true }
+  ).select('notificationPreferences');
+
+  sendSuccess(res, user.notificationPreferences, 'Notification preferences updated successfully');
+});
 
 module.exports = {
   getNotifications,
   getUnreadCount,
+  streamNotifications,
   markAsRead,
-  markAllAsRead
+  markAllAsRead,
+  archiveNotification,
+  deleteNotification,
+  bulkUpdateNotifications,
+  getNotificationStats,
+  getPreferences,
+  updatePreferences
 };
@@ -1,369 +1,430 @@
-const { validationResult } = require('express-validator');
 const Otp = require('../models/Otp');
+const OtpOverride = require('../models/OtpOverride');
 const Client = require('../models/Client');
-const Notification = require('../models/Notification');
-const whatsappService = require('../services/whatsappService');
-
-const sendOTP = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
+const User = require('../models/User');
+const { notify } = require('../services/notificationService');
+const {
+  OVERRIDE_REQUEST_WINDOW_MINUTES,
+  getFallbackPolicy,
+  getDeliveryMethod,
+  otpNotificationFields,
+  deliverOtp
+} = require('../services/otpDeliveryService');
+const { ROLES, roleHasPermission } = require('../config/roles');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../utils/errors');
+
+// Log the attempt for the salesman and answer with where the OTP went.
+// The code itself is never part of a response, whatever happened to the delivery.
+const respondWithDelivery = async (req, res, { client, otp, status, delivery, sentType, sentMessage }) => {
+  if (req.user) {
+    const types = { sent: sentType, queued: 'otp_queued', failed: 'otp_delivery_failed' };
+    await notify(types[status], {
+      recipients: req.user,
+      actor: req.user,
+      entity: { type: 'Client', id: client._id },
+      data: { clientName: client.name, clientPhone: client.phone },
+      fields: otpNotificationFields(client, req.user, otp)
+    });
+  }
 
-    const { clientId } = req.body;
+  if (status === 'failed') {
+    console.error(`OTP delivery failed for ${client.name} (${client.phone}):`, delivery.error);
+
+    const manualOverride = getFallbackPolicy() === 'manual';
+    throw new AppError(
+      manualOverride
+        ? 'OTP could not be delivered. You can request a manual verification instead'
+        : 'OTP could not be delivered, please try again',
+      502,
+      'OTP_DELIVERY_FAILED',
+      {
+        attempts: delivery.attempts.map(({ provider, reason }) => ({ provider, reason })),
+        manualOverride
+      }
+    );
+  }
 
-    const client = await Client.findById(clientId);
-    if (!client) {
-      return res.status(404).json({
-        success: false,
-        message: 'Client not found'
-      });
-    }
+  const data = {
+    clientId: client._id,
+    clientName: client.name,
+    phone: client.phone,
+    expiresIn: '5 minutes',
+    expiresAt: otp.expiresAt,
+    deliveryMethod: getDeliveryMethod(otp),
+    deliveryStatus: status,
+    ...(status === 'sent' && { messageSid: delivery.messageSid })
+  };
+
+  if (status === 'queued') {
+    return sendSuccess(res, data, 'OTP could not be delivered yet, delivery will be retried shortly', 202);
+  }
 
-    if (!client.phone) {
-      return res.status(400).json({
-        success: false,
-        message: 'Client does not have a phone number'
-      });
-    }
+  console.log(`OTP delivered via ${delivery.channel} to ${client.name} (${client.phone})`);
+  sendSuccess(res, data, `${sentMessage} via ${delivery.channel}`);
+};
 
-    const otpCode = Otp.generateOTP();
+const sendOTP = asyncHandler(async (req, res) => {
+  const { clientId } = req.body;
 
-    await Otp.updateMany(
-      { client: clientId, isUsed: false },
-      { isUsed: true }
-    );
+  const client = await Client.findById(clientId);
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
 
-    const otp = new Otp({
-      client: clientId,
-      otp: otpCode,
-      phone: client.phone
-    });
+  if (!client.phone) {
+    throw new ValidationError('Client does not have a phone number');
+  }
 
-    await otp.save();
+  const otpCode = Otp.generateOTP();
+
+  await Otp.updateMany(
+    { client: clientId, isUsed: false },
+    { isUsed: true }
+  );
+
+  const otp = new Otp({
+    client: clientId,
+    otp: otpCode,
+    phone: client.phone,
+    requestedBy: req.user?._id
+  });
+
+  await otp.save();
+
+  // Every provider in MESSAGING_PROVIDERS is tried before OTP_FALLBACK_POLICY applies
+  const { status, delivery } = await deliverOtp(otp);
+
+  await respondWithDelivery(req, res, {
+    client,
+    otp,
+    status,
+    delivery,
+    sentType: 'otp_sent',
+    sentMessage: 'OTP sent successfully'
+  });
+});
+
+const verifyOTP = asyncHandler(async (req, res) => {
+  const { clientId, otp } = req.body;
+
+  const otpRecord = await Otp.findOne({
+    client: clientId,
+    otp: otp,
+    isUsed: false
+  }).sort({ createdAt: -1 });
+
+  if (!otpRecord) {
+    throw new ValidationError('Invalid OTP', undefined, 'INVALID_OTP');
+  }
 
-    // Send OTP via WhatsApp
-    const whatsappResult = await whatsappService.sendOTP(
-      client.phone,
-      otpCode,
-      client.name
-    );
+  if (!otpRecord.isValid()) {
+    otpRecord.isUsed = true;
+    await otpRecord.save();
 
-    // Create notification/audit log
-    if (req.user) {
-      const notification = new Notification({
-        type: 'otp_sent',
-        salesman: req.user._id,
-        client: client._id,
-        clientName: client.name,
-        clientPhone: client.phone,
-        salesmanName: `${req.user.firstName} ${req.user.lastName}`,
-        message: `OTP sent to ${client.name} (${client.phone})`,
-        status: whatsappResult.success ? 'success' : 'failed',
-        otpId: otp._id,
-        deliveryMethod: whatsappResult.success ? 'WhatsApp' : 'WhatsApp (Failed)'
-      });
-      await notification.save();
-    }
+    throw new ValidationError('OTP has expired or exceeded maximum attempts', undefined, 'OTP_EXPIRED');
+  }
 
-    if (whatsappResult.success) {
-      console.log(`WhatsApp OTP sent successfully to ${client.name} (${client.phone}): ${otpCode}`);
-
-      res.json({
-        success: true,
-        message: 'OTP sent successfully via WhatsApp',
-        data: {
-          clientId: client._id,
-          clientName: client.name,
-          phone: client.phone,
-          expiresIn: '5 minutes',
-          expiresAt: otp.expiresAt,
-          deliveryMethod: 'WhatsApp',
-          messageSid: whatsappResult.messageSid
-        }
-      });
-    } else {
-      console.error(`WhatsApp OTP send failed for ${client.name} (${client.phone}):`, whatsappResult.error);
-
-      res.json({
-        success: true,
-        message: 'OTP generated successfully (WhatsApp delivery failed)',
-        data: {
-          clientId: client._id,
-          clientName: client.name,
-          phone: client.phone,
-          expiresIn: '5 minutes',
-          expiresAt: otp.expiresAt,
-          deliveryMethod: 'WhatsApp (Failed)',
-          otp: otpCode, // Include OTP in response for fallback
-          whatsappError: whatsappResult.error
-        }
-      });
-    }
+  otpRecord.attempts += 1;
+
+  if (otpRecord.otp !== otp) {
+    await otpRecord.save();
 
-  } catch (error) {
-    console.error('Send OTP error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
+    throw new AppError('Invalid OTP', 400, 'INVALID_OTP', {
+      attemptsLeft: 3 - otpRecord.attempts
     });
   }
-};
 
-const verifyOTP = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
+  otpRecord.isUsed = true;
+  otpRecord.verifiedAt = new Date();
+  await otpRecord.save();
+
+  const client = await Client.findByIdAndUpdate(
+    clientId,
+    { phoneVerifiedAt: otpRecord.verifiedAt, phoneVerificationMethod: 'otp' },
+    { new: true }
+  );
+
+  // Let the salesman who requested the OTP know the client confirmed it
+  const requestedBy = otpRecord.requestedBy && await User.findById(otpRecord.requestedBy);
+  if (requestedBy) {
+    await notify('otp_verified', {
+      recipients: requestedBy,
+      entity: { type: 'Client', id: client._id },
+      data: { clientName: client.name, clientPhone: client.phone },
+      fields: otpNotificationFields(client, requestedBy, otpRecord)
+    });
+  }
 
-    const { clientId, otp } = req.body;
+  sendSuccess(res, {
+    clientId: client._id,
+    clientName: client.name,
+    phone: client.phone,
+    verifiedAt: otpRecord.verifiedAt
+  }, 'OTP verified successfully');
+});
 
-    const otpRecord = await Otp.findOne({
-      client: clientId,
-      otp: otp,
-      isUsed: false
-    }).sort({ createdAt: -1 });
+const resendOTP = asyncHandler(async (req, res) => {
+  const { clientId } = req.body;
 
-    if (!otpRecord) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP'
-      });
-    }
+  const client = await Client.findById(clientId);
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
 
-    if (!otpRecord.isValid()) {
-      otpRecord.isUsed = true;
-      await otpRecord.save();
+  if (!client.phone) {
+    throw new ValidationError('Client does not have a phone number');
+  }
 
-      return res.status(400).json({
-        success: false,
-        message: 'OTP has expired or exceeded maximum attempts'
-      });
+  const existingOTP = await Otp.findOne({
+    client: clientId,
+    isUsed: false
+  }).sort({ createdAt: -1 });
+
+  if (existingOTP && existingOTP.isValid()) {
+    const timeSinceLastOTP = new Date() - existingOTP.createdAt;
+    const minInterval = 30 * 1000; // 30 seconds
+
+    if (timeSinceLastOTP < minInterval) {
+      const waitTime = Math.ceil((minInterval - timeSinceLastOTP) / 1000);
+      throw new TooManyRequestsError(
+        `Please wait ${waitTime} seconds before requesting another OTP`,
+        'TOO_MANY_REQUESTS',
+        { retryAfter: waitTime }
+      );
     }
+  }
 
-    otpRecord.attempts += 1;
+  const otpCode = Otp.generateOTP();
 
-    if (otpRecord.otp !== otp) {
-      await otpRecord.save();
+  await Otp.updateMany(
+    { client: clientId, isUsed: false },
+    { isUsed: true }
+  );
 
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP',
-        attemptsLeft: 3 - otpRecord.attempts
-      });
-    }
+  const otp = new Otp({
+    client: clientId,
+    otp: otpCode,
+    phone: client.phone,
+    requestedBy: req.user?._id
+  });
 
-    otpRecord.isUsed = true;
-    await otpRecord.save();
+  await otp.save();
 
-    const client = await Client.findById(clientId);
+  // Every provider in MESSAGING_PROVIDERS is tried before OTP_FALLBACK_POLICY applies
+  const { status, delivery } = await deliverOtp(otp);
 
-    res.json({
-      success: true,
-      message: 'OTP verified successfully',
-      data: {
-        clientId: client._id,
-        clientName: client.name,
-        phone: client.phone,
-        verifiedAt: new Date()
-      }
-    });
+  await respondWithDelivery(req, res, {
+    client,
+    otp,
+    status,
+    delivery,
+    sentType: 'otp_resent',
+    sentMessage: 'OTP resent successfully'
+  });
+});
 
-  } catch (error) {
-    console.error('Verify OTP error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
+// @desc    Get OTP status for client
+// @access  Public
+const getOTPStatus = asyncHandler(async (req, res) => {
+  const { clientId } = req.params;
+
+  // Find the most recent OTP for this client
+  const otpRecord = await Otp.findOne({
+    client: clientId
+  }).sort({ createdAt: -1 });
+
+  if (!otpRecord) {
+    return sendSuccess(res, {
+      hasActiveOTP: false,
+      message: 'No OTP found'
     });
   }
-};
 
-const resendOTP = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { clientId } = req.body;
-
-    const client = await Client.findById(clientId);
-    if (!client) {
-      return res.status(404).json({
-        success: false,
-        message: 'Client not found'
-      });
-    }
+  const isValid = otpRecord.isValid();
+  const timeLeft = Math.max(0, Math.floor((otpRecord.expiresAt - new Date()) / 1000));
+
+  sendSuccess(res, {
+    hasActiveOTP: isValid,
+    isUsed: otpRecord.isUsed,
+    attempts: otpRecord.attempts,
+    timeLeft: timeLeft,
+    expiresAt: otpRecord.expiresAt,
+    deliveryStatus: otpRecord.deliveryStatus,
+    deliveryMethod: getDeliveryMethod(otpRecord)
+  });
+});
+
+// @desc    Ask an admin to verify a client whose OTP could not be delivered
+// @access  Private (otp:send, only with OTP_FALLBACK_POLICY=manual)
+const requestOverride = asyncHandler(async (req, res) => {
+  const { clientId, reason } = req.body;
+
+  if (getFallbackPolicy() !== 'manual') {
+    throw new ForbiddenError('Manual verification is not enabled', 'MANUAL_OVERRIDE_DISABLED');
+  }
 
-    if (!client.phone) {
-      return res.status(400).json({
-        success: false,
-        message: 'Client does not have a phone number'
-      });
-    }
+  const client = await Client.findById(clientId);
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
 
-    const existingOTP = await Otp.findOne({
-      client: clientId,
-      isUsed: false
-    }).sort({ createdAt: -1 });
-
-    if (existingOTP && existingOTP.isValid()) {
-      const timeSinceLastOTP = new Date() - existingOTP.createdAt;
-      const minInterval = 30 * 1000; // 30 seconds
-
-      if (timeSinceLastOTP < minInterval) {
-        const waitTime = Math.ceil((minInterval - timeSinceLastOTP) / 1000);
-        return res.status(429).json({
-          success: false,
-          message: `Please wait ${waitTime} seconds before requesting another OTP`
-        });
-      }
-    }
+  // Only the client's latest OTP counts, if this salesman asked for it recently and it failed
+  const latestOtp = await Otp.findOne({ client: clientId, purpose: 'client_verification' }).sort({ createdAt: -1 });
+  const windowStart = new Date(Date.now() - OVERRIDE_REQUEST_WINDOW_MINUTES * 60 * 1000);
 
-    const otpCode = Otp.generateOTP();
+  const failedOtp = latestOtp &&
+    latestOtp.deliveryStatus === 'failed' &&
+    latestOtp.requestedBy?.toString() === req.user._id.toString() &&
+    latestOtp.createdAt >= windowStart
+    ? latestOtp
+    : null;
 
-    await Otp.updateMany(
-      { client: clientId, isUsed: false },
-      { isUsed: true }
-    );
+  if (!failedOtp) {
+    throw new ValidationError('Manual verification needs a recent failed OTP delivery to this client', undefined, 'NO_FAILED_DELIVERY');
+  }
 
-    const otp = new Otp({
-      client: clientId,
-      otp: otpCode,
-      phone: client.phone
+  if (client.phoneVerifiedAt && client.phoneVerifiedAt > failedOtp.createdAt) {
+    throw new ConflictError('Client was already verified', 'ALREADY_VERIFIED', {
+      phoneVerifiedAt: client.phoneVerifiedAt
     });
+  }
 
-    await otp.save();
+  const pending = await OtpOverride.findOne({ client: clientId, status: 'pending' });
+  if (pending) {
+    throw new ConflictError('A manual verification request is already pending for this client', 'OVERRIDE_PENDING', {
+      overrideId: pending._id
+    });
+  }
 
-    // Send OTP via WhatsApp
-    const whatsappResult = await whatsappService.sendOTP(
-      client.phone,
-      otpCode,
-      client.name
-    );
+  const override = await OtpOverride.create({
+    client: client._id,
+    otp: failedOtp._id,
+    phone: failedOtp.phone,
+    requestedBy: req.user._id,
+    reason,
+    deliveryError: failedOtp.lastDeliveryError
+  });
+
+  // Everyone who may decide on the request
+  const approverRoles = ROLES.filter(role => roleHasPermission(role, 'otp:override'));
+  const approvers = await User.find({ role: { $in: approverRoles }, isActive: true }).select('_id');
+  await notify('otp_override_requested', {
+    recipients: approvers,
+    actor: req.user,
+    entity: { type: 'OtpOverride', id: override._id },
+    data: {
+      requestedBy: `${req.user.firstName} ${req.user.lastName}`,
+      clientName: client.name,
+      reason
+    },
+    fields: { client: client._id }
+  });
+
+  sendSuccess(res, override, 'Manual verification requested', 201);
+});
+
+// @desc    List manual verification requests
+// @access  Private (otp:override)
+const getOverrides = asyncHandler(async (req, res) => {
+  const { status, clientId, page = 1, limit = 50 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (clientId) query.client = clientId;
+
+  const overrides = await OtpOverride.find(query)
+    .populate('client', 'name company phone area')
+    .populate('requestedBy', 'firstName lastName email role')
+    .populate('decidedBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await OtpOverride.countDocuments(query);
+
+  sendSuccess(res, {
+    overrides,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    total
+  });
+});
+
+// @desc    Approve (verifying the client) or reject a manual verification request
+// @access  Private (otp:override)
+const decideOverride = asyncHandler(async (req, res) => {
+  const { decision, note } = req.body;
+
+  const override = await OtpOverride.findById(req.params.id)
+    .populate('client', 'name phone')
+    .populate('requestedBy', 'firstName lastName');
+
+  if (!override) {
+    throw new NotFoundError('Manual verification request not found');
+  }
 
-    // Create notification/audit log for resend
-    if (req.user) {
-      const notification = new Notification({
-        type: 'otp_resent',
-        salesman: req.user._id,
-        client: client._id,
-        clientName: client.name,
-        clientPhone: client.phone,
-        salesmanName: `${req.user.firstName} ${req.user.lastName}`,
-        message: `OTP resent to ${client.name} (${client.phone})`,
-        status: whatsappResult.success ? 'success' : 'failed',
-        otpId: otp._id,
-        deliveryMethod: whatsappResult.success ? 'WhatsApp' : 'WhatsApp (Failed)'
-      });
-      await notification.save();
-    }
+  if (override.status !== 'pending') {
+    throw new ConflictError(`Manual verification request was already ${override.status}`, 'OVERRIDE_DECIDED');
+  }
 
-    if (whatsappResult.success) {
-      console.log(`WhatsApp OTP resent successfully to ${client.name} (${client.phone}): ${otpCode}`);
-
-      res.json({
-        success: true,
-        message: 'OTP resent successfully via WhatsApp',
-        data: {
-          clientId: client._id,
-          clientName: client.name,
-          phone: client.phone,
-          expiresIn: '5 minutes',
-          expiresAt: otp.expiresAt,
-          deliveryMethod: 'WhatsApp',
-          messageSid: whatsappResult.messageSid
-        }
-      });
-    } else {
-      console.error(`WhatsApp OTP resend failed for ${client.name} (${client.phone}):`, whatsappResult.error);
-
-      res.json({
-        success: true,
-        message: 'OTP regenerated successfully (WhatsApp delivery failed)',
-        data: {
-          clientId: client._id,
-          clientName: client.name,
-          phone: client.phone,
-          expiresIn: '5 minutes',
-          expiresAt: otp.expiresAt,
-          deliveryMethod: 'WhatsApp (Failed)',
-          otp: otpCode, // Include OTP in response for fallback
-          whatsappError: whatsappResult.error
-        }
-      });
-    }
+  if (override.requestedBy._id.toString() === req.user._id.toString()) {
+    throw new ForbiddenError('You cannot decide on your own request', 'OWN_OVERRIDE');
+  }
 
-  } catch (error) {
-    console.error('Resend OTP error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+  const approved = decision === 'approve';
+  override.status = approved ? 'approved' : 'rejected';
+  override.decidedBy = req.user._id;
+  override.decidedAt = new Date();
+  override.decisionNote = note;
+  await override.save();
+
+  // An approval is the client's verification
+  if (approved) {
+    await Client.updateOne(
+      { _id: override.client._id },
+      { phoneVerifiedAt: override.decidedAt, phoneVerificationMethod: 'manual_override' }
+    );
   }
-};
 
-// @desc    Get OTP status for client
-// @access  Public
-const getOTPStatus = async (req, res) => {
-  try {
-    const { clientId } = req.params;
-
-    // Find the most recent OTP for this client
-    const otpRecord = await Otp.findOne({
-      client: clientId
-    }).sort({ createdAt: -1 });
-
-    if (!otpRecord) {
-      return res.json({
-        success: true,
-        data: {
-          hasActiveOTP: false,
-          message: 'No OTP found'
-        }
-      });
+  const { client, requestedBy } = override;
+  await notify(approved ? 'otp_override_approved' : 'otp_override_rejected', {
+    recipients: requestedBy,
+    actor: req.user,
+    entity: { type: 'Client', id: client._id },
+    data: {
+      clientName: client.name,
+      decidedBy: `${req.user.firstName} ${req.user.lastName}`,
+      note
+    },
+    // Approvals stand in for the OTP verification in the OTP audit trail
+    fields: {
+      client: client._id,
+      clientName: client.name,
+      clientPhone: client.phone,
+      salesman: requestedBy._id,
+      salesmanName: `${requestedBy.firstName} ${requestedBy.lastName}`,
+      status: approved ? 'success' : 'failed',
+      deliveryMethod: 'Manual override'
     }
+  });
 
-    const isValid = otpRecord.isValid();
-    const timeLeft = Math.max(0, Math.floor((otpRecord.expiresAt - new Date()) / 1000));
-
-    res.json({
-      success: true,
-      data: {
-        hasActiveOTP: isValid,
-        isUsed: otpRecord.isUsed,
-        attempts: otpRecord.attempts,
-        timeLeft: timeLeft,
-        expiresAt: otpRecord.expiresAt
-      }
-    });
-
-  } catch (error) {
-    console.error('Get OTP status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-};
+  sendSuccess(res, override, approved ? 'Manual verification approved' : 'Manual verification rejected');
+});
 
 module.exports = {
   sendOTP,
   verifyOTP,
   resendOTP,
   getOTPStatus,
+  requestOverride,
+  getOverrides,
+  decideOverride
 };
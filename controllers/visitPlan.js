@@ -0,0 +1,272 @@
+const VisitPlan = require('../models/VisitPlan');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const {
+  getPlannableSalesmanIds,
+  isSalesmanPlannable,
+  completeFromExistingFeedback,
+  getAdherenceReport: buildAdherenceReport
+} = require('../services/visitPlanService');
+const { startOfDayIST, endOfDayIST, toISTDateString, DAY_MS } = require('../utils/date');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const populatePlan = (query) => query
+  .populate('salesman', 'firstName lastName email phone')
+  .populate('visits.client', 'name company phone address location area')
+  .populate('createdBy', 'firstName lastName');
+
+// Plan of a salesman the user may manage
+const findAccessiblePlan = async (user, id) => {
+  const plan = await VisitPlan.findById(id);
+  if (!plan) {
+    throw new NotFoundError('Visit plan not found');
+  }
+
+  const salesmanIds = await getPlannableSalesmanIds(user);
+  if (!isSalesmanPlannable(salesmanIds, plan.salesman)) {
+    throw new ForbiddenError('Access denied to this visit plan');
+  }
+
+  return plan;
+};
+
+// Visits must be clients of the salesman's areas, each listed once
+const buildVisits = async (salesman, visits, existingVisits = []) => {
+  const seen = new Set();
+  const uniqueVisits = visits.filter(visit => {
+    const key = visit.client.toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const clients = await Client.find({
+    _id: { $in: uniqueVisits.map(visit => visit.client) },
+    area: { $in: salesman.getAreaIds() },
+    isActive: true
+  }).select('_id');
+  const clientIds = new Set(clients.map(client => client._id.toString()));
+
+  const unknown = uniqueVisits.filter(visit => !clientIds.has(visit.client.toString()));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      'Some clients are not in the salesman\'s areas',
+      unknown.map(visit => ({ path: 'visits', value: visit.client, msg: 'Client not found in the salesman\'s areas' })),
+      'INVALID_PLAN_CLIENTS'
+    );
+  }
+
+  // Keep the outcome of visits that stay on the plan
+  return uniqueVisits.map(visit => {
+    const existing = existingVisits.find(item => item.client.toString() === visit.client.toString());
+    return {
+      client: visit.client,
+      notes: visit.notes !== undefined ? visit.notes : existing?.notes,
+      status: existing?.status || 'planned',
+      feedback: existing?.feedback,
+      completedAt: existing?.completedAt
+    };
+  });
+};
+
+// @desc    Get visit plans
+// @access  Private (visits:read)
+const getVisitPlans = asyncHandler(async (req, res) => {
+  const { salesmanId, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+
+  let query = {};
+
+  const salesmanIds = await getPlannableSalesmanIds(req.user);
+  if (salesmanId) {
+    query.salesman = isSalesmanPlannable(salesmanIds, salesmanId) ? salesmanId : { $in: [] };
+  } else if (salesmanIds) {
+    query.salesman = { $in: salesmanIds };
+  }
+
+  if (dateFrom || dateTo) {
+    query.date = {};
+    if (dateFrom) query.date.$gte = startOfDayIST(dateFrom);
+    if (dateTo) query.date.$lte = endOfDayIST(dateTo);
+  }
+
+  const plans = await populatePlan(VisitPlan.find(query))
+    .sort({ date: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await VisitPlan.countDocuments(query);
+
+  sendSuccess(res, {
+    plans,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    total
+  });
+});
+
+// @desc    Get a visit plan
+// @access  Private (visits:read)
+const getVisitPlanById = asyncHandler(async (req, res) => {
+  const plan = await findAccessiblePlan(req.user, req.params.id);
+
+  sendSuccess(res, await populatePlan(VisitPlan.findById(plan._id)));
+});
+
+// @desc    Get today's plan of the logged in salesman
+// @access  Private (field:access)
+const getTodayPlan = asyncHandler(async (req, res) => {
+  const today = startOfDayIST();
+
+  const plan = await populatePlan(VisitPlan.findOne({ salesman: req.user._id, date: today }));
+
+  const summary = { planned: 0, completed: 0, skipped: 0 };
+  (plan?.visits || []).forEach(visit => { summary[visit.status] += 1; });
+
+  sendSuccess(res, {
+    date: toISTDateString(today),
+    plan,
+    summary
+  });
+});
+
+// @desc    Schedule client visits of a salesman for a day
+// @access  Private (visits:write)
+const createVisitPlan = asyncHandler(async (req, res) => {
+  const { date, visits, notes } = req.body;
+  // Salesmen plan their own day, managers pick a salesman of their team
+  const salesmanId = req.body.salesman || req.user._id;
+
+  const salesmanIds = await getPlannableSalesmanIds(req.user);
+  if (!isSalesmanPlannable(salesmanIds, salesmanId)) {
+    throw new ForbiddenError('You can only plan visits for yourself or your team');
+  }
+
+  const salesman = await User.findOne({ _id: salesmanId, role: 'salesman', isActive: true });
+  if (!salesman) {
+    throw new ValidationError('Salesman not found');
+  }
+
+  const planDate = startOfDayIST(date);
+  if (planDate < startOfDayIST()) {
+    throw new ValidationError('Visits cannot be planned for a past date');
+  }
+
+  const existingPlan = await VisitPlan.findOne({ salesman: salesman._id, date: planDate });
+  if (existingPlan) {
+    throw new ConflictError('A plan already exists for this salesman and date', 'PLAN_EXISTS', { planId: existingPlan._id });
+  }
+
+  const plan = new VisitPlan({
+    salesman: salesman._id,
+    date: planDate,
+    visits: await buildVisits(salesman, visits),
+    notes,
+    createdBy: req.user._id
+  });
+
+  await completeFromExistingFeedback(plan);
+  await plan.save();
+
+  sendSuccess(res, await populatePlan(VisitPlan.findById(plan._id)), 'Visit plan created successfully', 201);
+});
+
+// Past plans are what the adherence report measures against, they stay as they were
+const isPastPlan = (plan) => plan.date < startOfDayIST();
+
+// @desc    Replace the visits or notes of a plan
+// @access  Private (visits:write)
+const updateVisitPlan = asyncHandler(async (req, res) => {
+  const { visits, notes } = req.body;
+
+  const plan = await findAccessiblePlan(req.user, req.params.id);
+
+  if (isPastPlan(plan)) {
+    throw new ValidationError('Plans of past days cannot be changed');
+  }
+
+  if (visits) {
+    const salesman = await User.findById(plan.salesman);
+    plan.visits = await buildVisits(salesman, visits, plan.visits);
+  }
+  if (notes !== undefined) plan.notes = notes;
+
+  await completeFromExistingFeedback(plan);
+  await plan.save();
+
+  sendSuccess(res, await populatePlan(VisitPlan.findById(plan._id)), 'Visit plan updated successfully');
+});
+
+// @desc    Mark a planned visit as skipped (or planned again)
+// @access  Private (visits:write)
+const updateVisitStatus = asyncHandler(async (req, res) => {
+  const { status, notes } = req.body;
+
+  const plan = await findAccessiblePlan(req.user, req.params.id);
+
+  if (isPastPlan(plan)) {
+    throw new ValidationError('Visits of past days cannot be changed');
+  }
+
+  const visit = plan.visits.id(req.params.visitId);
+  if (!visit) {
+    throw new NotFoundError('Visit not found');
+  }
+
+  // Completion comes from the feedback, not from this endpoint
+  if (visit.status === 'completed') {
+    throw new ValidationError('Completed visits cannot be changed');
+  }
+
+  visit.status = status;
+  if (notes !== undefined) visit.notes = notes;
+  await plan.save();
+
+  sendSuccess(res, await populatePlan(VisitPlan.findById(plan._id)), 'Visit updated successfully');
+});
+
+// @desc    Delete a visit plan
+// @access  Private (visits:write)
+const deleteVisitPlan = asyncHandler(async (req, res) => {
+  const plan = await findAccessiblePlan(req.user, req.params.id);
+
+  if (isPastPlan(plan)) {
+    throw new ValidationError('Plans of past days cannot be deleted');
+  }
+
+  await VisitPlan.findByIdAndDelete(plan._id);
+
+  sendSuccess(res, null, 'Visit plan deleted successfully');
+});
+
+// @desc    Planned vs. completed vs. unplanned visits per salesman
+// @access  Private (visits:report)
+const getAdherenceReport = asyncHandler(async (req, res) => {
+  const { salesmanId } = req.query;
+  const dateTo = req.query.dateTo || new Date();
+  const dateFrom = req.query.dateFrom || new Date(startOfDayIST(dateTo).getTime() - 6 * DAY_MS);
+
+  if (startOfDayIST(dateFrom) > startOfDayIST(dateTo)) {
+    throw new ValidationError('dateFrom must not be after dateTo');
+  }
+
+  let salesmanIds = await getPlannableSalesmanIds(req.user);
+  if (salesmanId) {
+    salesmanIds = isSalesmanPlannable(salesmanIds, salesmanId) ? [salesmanId] : [];
+  }
+
+  const report = await buildAdherenceReport({ dateFrom, dateTo, salesmanIds });
+
+  sendSuccess(res, report);
+});
+
+module.exports = {
+  getVisitPlans,
+  getVisitPlanById,
+  getTodayPlan,
+  createVisitPlan,
+  updateVisitPlan,
+  updateVisitStatus,
+  deleteVisitPlan,
+  getAdherenceReport
+};
@@ -3,29 +3,51 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const multer = require('multer');
-const v1Routes = require('./routes');
 
+// Load before the routes: controllers and models read their settings at require time
 dotenv.config();
 
+const v1Routes = require('./routes');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { startFollowUpReminders } = require('./jobs/followUpReminders');
+const { startNotificationRetention } = require('./jobs/notificationRetention');
+const { startOtpDeliveryRetry } = require('./jobs/otpDeliveryRetry');
+
 const app = express();
 
+// Behind a load balancer req.ip must come from X-Forwarded-For (used for login throttling)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Configure multer for form-data parsing
+// Configure multer for form-data parsing. Client imports are parsed by their route,
+// which applies the import size limit
+const IMPORT_PATH = /^\/v1\/clients\/import\/?$/i;
 const upload = multer();
-app.use(upload.any());
+app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : upload.any()(req, res, next)));
 
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    startFollowUpReminders();
+    startNotificationRetention();
+    startOtpDeliveryRetry();
+  })
   .catch(err => console.log('MongoDB connection error:', err));
 
 v1Routes(app);
 
+// Must come after every route
+app.use(notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
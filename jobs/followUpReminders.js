@@ -0,0 +1,42 @@
+const { sendFollowUpReminders } = require('../services/followUpService');
+
+const INTERVAL_MINUTES = parseInt(process.env.FOLLOW_UP_REMINDER_INTERVAL_MINUTES) || 60;
+
+let timer = null;
+let running = false;
+
+const run = async () => {
+  // A slow run must not overlap with the next tick
+  if (running) return;
+  running = true;
+
+  try {
+    const { due, overdue } = await sendFollowUpReminders();
+    if (due > 0 || overdue > 0) {
+      console.log(`Follow-up reminders sent: ${due} due, ${overdue} overdue`);
+    }
+  } catch (error) {
+    console.error('Follow-up reminder job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic reminder run (once MongoDB is connected)
+const startFollowUpReminders = () => {
+  if (timer || process.env.FOLLOW_UP_REMINDERS_ENABLED === 'false') return;
+
+  run();
+  timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+};
+
+const stopFollowUpReminders = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startFollowUpReminders,
+  stopFollowUpReminders
+};
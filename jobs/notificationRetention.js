@@ -0,0 +1,42 @@
+const { purgeExpiredNotifications } = require('../services/notificationService');
+
+const INTERVAL_HOURS = parseInt(process.env.NOTIFICATION_RETENTION_INTERVAL_HOURS) || 24;
+
+let timer = null;
+let running = false;
+
+const run = async () => {
+  // A slow run must not overlap with the next tick
+  if (running) return;
+  running = true;
+
+  try {
+    const { deleted, archived } = await purgeExpiredNotifications();
+    if (deleted > 0 || archived > 0) {
+      console.log(`Notification retention: ${deleted} read notifications deleted, ${archived} archived`);
+    }
+  } catch (error) {
+    console.error('Notification retention job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic purge of old read notifications (once MongoDB is connected)
+const startNotificationRetention = () => {
+  if (timer || process.env.NOTIFICATION_RETENTION_ENABLED === 'false') return;
+
+  run();
+  timer = setInterval(run, INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+};
+
+const stopNotificationRetention = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startNotificationRetention,
+  stopNotificationRetention
+};
@@ -0,0 +1,42 @@
+const { retryQueuedOtps } = require('../services/otpDeliveryService');
+
+const INTERVAL_SECONDS = parseInt(process.env.OTP_RETRY_INTERVAL_SECONDS) || 15;
+
+let timer = null;
+let running = false;
+
+const run = async () => {
+  // A slow run must not overlap with the next tick
+  if (running) return;
+  running = true;
+
+  try {
+    const { sent, failed } = await retryQueuedOtps();
+    if (sent > 0 || failed > 0) {
+      console.log(`Queued OTP delivery: ${sent} sent, ${failed} given up`);
+    }
+  } catch (error) {
+    console.error('OTP delivery retry job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start retrying queued OTPs (only needed with OTP_FALLBACK_POLICY=queue)
+const startOtpDeliveryRetry = () => {
+  if (timer || process.env.OTP_FALLBACK_POLICY !== 'queue') return;
+
+  run();
+  timer = setInterval(run, INTERVAL_SECONDS * 1000);
+  timer.unref();
+};
+
+const stopOtpDeliveryRetry = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startOtpDeliveryRetry,
+  stopOtpDeliveryRetry
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { recordAudit } = require('../services/auditService');
+
+// Id of the entity a response is about, for creates where the route has no :id
+const getResponseId = (payload) => {
+  return payload?._id || payload?.data?._id || payload?.data?.id;
+};
+
+// Audit a mutating route: snapshots the entity before the handler runs and again
+// once a successful response has been sent, then stores the diff.
+// getId defaults to req.params.id; creates fall back to the id in the response body.
+// always records the action even when the entity itself did not change.
+const audit = (action, Model, { getId = (req) => req.params.id, always = false } = {}) => async (req, res, next) => {
+  try {
+    const requestedId = getId(req);
+    const before = requestedId && mongoose.isValidObjectId(requestedId)
+      ? await Model.findById(requestedId).lean()
+      : null;
+
+    let payload;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      payload = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const entityId = requestedId || getResponseId(payload);
+        if (!entityId || !mongoose.isValidObjectId(entityId)) return;
+
+        const after = await Model.findById(entityId).lean();
+
+        await recordAudit(req, {
+          action,
+          entityType: Model.modelName,
+          entityId,
+          before,
+          after,
+          always
+        });
+      } catch (error) {
+        console.error(`Audit log error (${action}):`, error);
+      }
+    });
+  } catch (error) {
+    console.error(`Audit snapshot error (${action}):`, error);
+  }
+
+  next();
+};
+
+module.exports = { audit };
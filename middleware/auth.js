@@ -1,82 +1,115 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
-const auth = async (req, res, next) => {
+const passwordChangeRequired = () => new ForbiddenError('Password change required.', 'PASSWORD_CHANGE_REQUIRED');
+
+// Resolve the user behind the bearer token into req.user, throwing when it is not usable.
+// Restricted password-change tokens are only accepted with allowPasswordChange,
+// a ?token= query parameter only with allowQueryToken.
+const authenticate = async (req, { allowPasswordChange = false, allowQueryToken = false } = {}) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '') ||
+    (allowQueryToken && typeof req.query.token === 'string' ? req.query.token : undefined);
+
+  if (!token) {
+    throw new UnauthorizedError('Access denied. No token provided.', 'NO_TOKEN');
+  }
+
+  let decoded;
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError('Invalid token.', error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN');
+  }
+
+  const isPasswordChangeToken = decoded.purpose === 'password_change';
+
+  if (isPasswordChangeToken && !allowPasswordChange) {
+    throw passwordChangeRequired();
+  }
+
+  // Every regular access token is bound to a session so it can be revoked server-side
+  let session = null;
+  if (!isPasswordChangeToken) {
+    session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+      throw new UnauthorizedError('Session expired or revoked.', 'SESSION_REVOKED');
     }
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user || !user.isActive) {
+    throw new UnauthorizedError('Invalid token or user inactive.', 'USER_INACTIVE');
+  }
+
+  if (user.mustChangePassword && !allowPasswordChange) {
+    throw passwordChangeRequired();
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'Invalid token or user inactive.' });
+  // A password-change token is spent once the password was changed, and one issued
+  // before a later admin reset belongs to the previous temporary password
+  if (isPasswordChangeToken) {
+    const issuedBeforeReset = user.passwordResetAt && decoded.iat < Math.floor(user.passwordResetAt.getTime() / 1000);
+    if (!user.mustChangePassword || issuedBeforeReset) {
+      throw new UnauthorizedError('Password change token is no longer valid.', 'INVALID_TOKEN');
     }
+  }
+
+  req.user = user;
+  req.authSession = session;
+  req.authExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+};
 
-    req.user = user;
+const auth = async (req, res, next) => {
+  try {
+    await authenticate(req);
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token.' });
+    next(error);
   }
 };
 
-const adminAuth = async (req, res, next) => {
+// Only for changing the password: also accepts the restricted token issued while
+// the user still has to replace an admin-generated password
+const passwordChangeAuth = async (req, res, next) => {
   try {
-    // First check if user is authenticated
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'Invalid token or user inactive.' });
-    }
+    await authenticate(req, { allowPasswordChange: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Check if user has admin role
-    if (user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin role required.' });
-    }
-    
-    req.user = user;
+// For EventSource connections, which cannot send an Authorization header
+const streamAuth = async (req, res, next) => {
+  try {
+    await authenticate(req, { allowQueryToken: true });
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token.' });
+    next(error);
   }
 };
 
-const salesmanAuth = async (req, res, next) => {
+// Authenticate (unless an earlier middleware already did) and require every given permission
+const requirePermission = (...permissions) => async (req, res, next) => {
   try {
-    // First check if user is authenticated
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    if (!req.user) {
+      await authenticate(req);
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'Invalid token or user inactive.' });
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      throw new ForbiddenError('Access denied. Insufficient permissions.', 'FORBIDDEN', {
+        missingPermissions: missing
+      });
     }
 
-    // Check if user has salesman role
-    if (user.role !== 'salesman') {
-      return res.status(403).json({ message: 'Access denied. Salesman role required.' });
-    }
-    
-    req.user = user;
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token.' });
+    next(error);
   }
 };
 
-module.exports = { auth, adminAuth, salesmanAuth };
+module.exports = { auth, passwordChangeAuth, streamAuth, requirePermission };
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { AppError } = require('../utils/errors');
+
+const sendError = (res, statusCode, message, code, extra = {}) => {
+  return res.status(statusCode).json({
+    success: false,
+    message,
+    code,
+    ...extra
+  });
+};
+
+// Unknown routes
+const notFound = (req, res) => {
+  sendError(res, 404, `Route ${req.method} ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND');
+};
+
+// Turns every error into the shared envelope; internal details are only logged.
+// Express recognises error handlers by their four arguments, so next must stay.
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof AppError) {
+    return sendError(res, err.statusCode, err.message, err.code, {
+      ...(err.errors && { errors: err.errors }),
+      ...(err.details && { details: err.details })
+    });
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return sendError(res, 400, `Invalid ${err.path}`, 'INVALID_ID');
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map(e => ({ path: e.path, msg: e.message }));
+    return sendError(res, 400, 'Validation failed', 'VALIDATION_ERROR', { errors });
+  }
+
+  if (err.code === 11000) {
+    return sendError(res, 409, 'Resource already exists', 'CONFLICT', {
+      details: { fields: Object.keys(err.keyValue || {}) }
+    });
+  }
+
+  if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+    return sendError(res, 401, 'Invalid token', 'INVALID_TOKEN');
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Malformed JSON body', 'BAD_REQUEST');
+  }
+
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, 400, 'File is too large', 'FILE_TOO_LARGE');
+  }
+
+  if (err instanceof multer.MulterError) {
+    return sendError(res, 400, err.message, 'UPLOAD_ERROR');
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+  return sendError(res, 500, 'Server error', 'SERVER_ERROR');
+};
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,13 @@
+const { validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+// Run after express-validator chains: rejects the request with their errors
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ValidationError('Validation failed', errors.array()));
+  }
+  next();
+};
+
+module.exports = { validate };
@@ -31,6 +31,17 @@ const areaSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Center of the area as a GeoJSON point, coordinates are [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -41,5 +52,6 @@ const areaSchema = new mongoose.Schema({
 
 // Index for efficient queries
 areaSchema.index({ name: 1, city: 1, state: 1 });
+areaSchema.index({ location: '2dsphere' });
 
 module.exports = mongoose.model('Area', areaSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { formatPhoneNumber } = require('../utils/phone');
 
 const clientSchema = new mongoose.Schema({
   name: {
@@ -20,6 +21,11 @@ const clientSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Digits only with country code, used to detect duplicates
+  normalizedPhone: {
+    type: String,
+    trim: true
+  },
   address: {
     street: String,
     city: String,
@@ -30,6 +36,17 @@ const clientSchema = new mongoose.Schema({
       default: 'India'
     }
   },
+  // GeoJSON point, coordinates are [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   area: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Area',
@@ -51,6 +68,24 @@ const clientSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when this client was merged into another one as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
+  },
+  mergedAt: Date,
+  // Last confirmation of the client's phone: an OTP they entered, or a manual
+  // verification an admin approved after OTP delivery failed
+  phoneVerifiedAt: Date,
+  phoneVerificationMethod: {
+    type: String,
+    enum: ['otp', 'manual_override']
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -60,5 +95,18 @@ const clientSchema = new mongoose.Schema({
 clientSchema.index({ area: 1, status: 1 });
 clientSchema.index({ salesman: 1, status: 1 });
 clientSchema.index({ name: 1, company: 1 });
+clientSchema.index({ normalizedPhone: 1 });
+clientSchema.index({ location: '2dsphere' });
+
+clientSchema.statics.normalizePhone = function(phone) {
+  return phone ? formatPhoneNumber(String(phone)) : null;
+};
+
+clientSchema.pre('save', function(next) {
+  if (this.isModified('phone')) {
+    this.normalizedPhone = this.constructor.normalizePhone(this.phone);
+  }
+  next();
+});
 
 module.exports = mongoose.model('Client', clientSchema);
@@ -42,6 +42,48 @@ const clientFeedbackSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Next action agreed with the client
+  followUpDate: Date,
+  followUpNote: {
+    type: String,
+    trim: true
+  },
+  // null when no follow-up is scheduled
+  followUpStatus: {
+    type: String,
+    enum: ['pending', 'done', 'cancelled', null]
+  },
+  // Feedback of the visit that took care of the follow-up
+  followUpResolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientFeedback'
+  },
+  followUpDueNotifiedAt: Date,
+  followUpOverdueNotifiedAt: Date,
+  // Where the salesman was when the visit was logged
+  checkIn: {
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    accuracy: Number,
+    distanceFromClient: Number,
+    status: {
+      type: String,
+      enum: ['verified', 'too_far', 'client_location_unknown', 'missing'],
+      default: 'missing'
+    }
+  },
+  isFlagged: {
+    type: Boolean,
+    default: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -59,5 +101,8 @@ const clientFeedbackSchema = new mongoose.Schema({
 clientFeedbackSchema.index({ client: 1, date: -1 });
 clientFeedbackSchema.index({ lead: 1, date: -1 });
 clientFeedbackSchema.index({ createdBy: 1, date: -1 });
+clientFeedbackSchema.index({ isFlagged: 1, date: -1 });
+clientFeedbackSchema.index({ followUpStatus: 1, followUpDate: 1 });
+clientFeedbackSchema.index({ createdBy: 1, followUpStatus: 1, followUpDate: 1 });
 
 module.exports = mongoose.model('ClientFeedback', clientFeedbackSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['android', 'ios', 'web'];
+
+const deviceTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: PLATFORMS,
+    required: true
+  },
+  // Push token issued to the app by FCM/APNs/the browser
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Login session the token was registered under, pushes stop once it is revoked
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  appVersion: {
+    type: String,
+    trim: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+deviceTokenSchema.index({ user: 1 });
+deviceTokenSchema.index({ session: 1 });
+
+deviceTokenSchema.statics.PLATFORMS = PLATFORMS;
+
+module.exports = mongoose.model('DeviceToken', deviceTokenSchema);
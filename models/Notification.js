@@ -1,37 +1,59 @@
 const mongoose = require('mongoose');
+const { publishCreated } = require('../services/notificationBus');
 
 const notificationSchema = new mongoose.Schema({
+  // Any key of config/notificationTemplates.js, e.g. 'otp_sent' or 'client_assigned'
   type: {
     type: String,
-    enum: ['otp_sent', 'otp_resent', 'otp_verified'],
-    required: true
+    required: true,
+    trim: true
   },
-  salesman: {
+  // User the notification is for, any role
+  recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  client: {
+  // User whose action caused it, null for system events
+  actor: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Client',
-    required: true
+    ref: 'User',
+    default: null
   },
-  clientName: {
+  title: {
     type: String,
-    required: true
+    trim: true
   },
-  clientPhone: {
+  message: {
     type: String,
     required: true
   },
-  salesmanName: {
+  // Record the notification is about, e.g. { entityType: 'Client', entityId }
+  entityType: {
     type: String,
-    required: true
+    trim: true
   },
-  message: {
-    type: String,
-    required: true
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Template variables, kept so clients can render their own text
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Client the event belongs to, shown on the client timeline
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  // OTP events (the fields the first OTP-only notifications were built on)
+  salesman: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
+  clientName: String,
+  clientPhone: String,
+  salesmanName: String,
   status: {
     type: String,
     enum: ['success', 'failed'],
@@ -41,22 +63,73 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Otp'
   },
+  feedback: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientFeedback'
+  },
   deliveryMethod: {
     type: String,
-    default: 'WhatsApp'
+    default: 'In-app'
   },
   isRead: {
     type: Boolean,
     default: false
-  }
+  },
+  readAt: Date,
+  // Archived notifications leave the inbox and the unread count but are kept
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: Date
 }, {
   timestamps: true
 });
 
 // Index for efficient queries
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ salesman: 1, createdAt: -1 });
 notificationSchema.index({ client: 1, createdAt: -1 });
+notificationSchema.index({ entityType: 1, entityId: 1 });
 notificationSchema.index({ type: 1, createdAt: -1 });
-notificationSchema.index({ isRead: 1 });
+notificationSchema.index({ isRead: 1, createdAt: 1 });
+notificationSchema.index({ recipient: 1, isArchived: 1, createdAt: -1 });
+
+// Notifications saved before recipients existed were addressed by salesman
+notificationSchema.pre('validate', function(next) {
+  if (!this.recipient && this.salesman) {
+    this.recipient = this.salesman;
+  }
+  next();
+});
+
+// Push every new notification to the open streams, however it was created
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) publishCreated(doc);
+});
+
+notificationSchema.post('insertMany', function(docs) {
+  docs.forEach(publishCreated);
+});
+
+/**
+ * Filter for the notifications addressed to a user, including OTP notifications
+ * saved before the recipient field existed
+ * @param {ObjectId|string} userId - Recipient
+ * @returns {Object} - Query filter
+ */
+notificationSchema.statics.recipientFilter = function(userId) {
+  return {
+    $or: [
+      { recipient: userId },
+      { recipient: { $exists: false }, salesman: userId }
+    ]
+  };
+};
 
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,10 +1,23 @@
 const mongoose = require('mongoose');
 
+// Guesses allowed per code
+const MAX_ATTEMPTS = 3;
+
 const otpSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    enum: ['client_verification', 'password_reset'],
+    default: 'client_verification'
+  },
   client: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client',
-    required: true
+    required: function() { return this.purpose === 'client_verification'; }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.purpose === 'password_reset'; }
   },
   otp: {
     type: String,
@@ -27,12 +40,37 @@ const otpSchema = new mongoose.Schema({
   attempts: {
     type: Number,
     default: 0,
-    max: 3
-  }
+    max: MAX_ATTEMPTS
+  },
+  // Staff user who asked for a client verification OTP
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  // Delivery to the phone: queued OTPs are retried by jobs/otpDeliveryRetry.js
+  deliveryStatus: {
+    type: String,
+    enum: ['pending', 'sent', 'queued', 'failed'],
+    default: 'pending'
+  },
+  // Channel of the provider that delivered it, e.g. 'WhatsApp' or 'SMS'
+  deliveryChannel: String,
+  deliveryAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastDeliveryError: String,
+  nextDeliveryAt: Date
 }, {
   timestamps: true
 });
 
+// Index for efficient queries
+otpSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+otpSchema.index({ client: 1, createdAt: -1 });
+otpSchema.index({ deliveryStatus: 1, nextDeliveryAt: 1 });
+
 // Index for automatic cleanup of expired OTPs
 otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -43,7 +81,19 @@ otpSchema.statics.generateOTP = function() {
 
 // Method to check if OTP is valid
 otpSchema.methods.isValid = function() {
-  return !this.isUsed && this.expiresAt > new Date() && this.attempts < 3;
+  return !this.isUsed && this.expiresAt > new Date() && this.attempts < MAX_ATTEMPTS;
+};
+
+// Count a guess atomically, so parallel requests cannot get more than MAX_ATTEMPTS.
+// Resolves to the updated OTP, or null when it is spent or out of guesses
+otpSchema.statics.registerAttempt = function(otpId) {
+  return this.findOneAndUpdate(
+    { _id: otpId, isUsed: false, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
 };
 
+otpSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
 module.exports = mongoose.model('Otp', otpSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Request to verify a client without an OTP after delivery failed
+// (OTP_FALLBACK_POLICY=manual), decided by an admin
+const otpOverrideSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  // OTP whose delivery failed, it expires long before the request is decided
+  otp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Otp'
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  // Last provider error of the failed OTP
+  deliveryError: String,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+otpOverrideSchema.index({ status: 1, createdAt: -1 });
+otpOverrideSchema.index({ client: 1, createdAt: -1 });
+otpOverrideSchema.index({ requestedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OtpOverride', otpOverrideSchema);
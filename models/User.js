@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, getRolePermissions, roleHasPermission, roleRequiresArea } = require('../config/roles');
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -18,9 +23,23 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Set for admin-generated passwords until the user picks their own
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  passwordResetAt: {
+    type: Date,
+    default: null
+  },
   role: {
     type: String,
-    enum: ['admin', 'salesman'],
+    enum: ROLES,
     default: 'salesman'
   },
   firstName: {
@@ -40,7 +59,17 @@ const userSchema = new mongoose.Schema({
   area: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Area',
-    required: function() { return this.role === 'salesman'; }
+    required: function() { return roleRequiresArea(this.role); }
+  },
+  // Every area the user covers; always contains the primary `area`
+  areas: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Area'
+  }],
+  reportsTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   },
   isActive: {
     type: Boolean,
@@ -48,11 +77,90 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  // Consecutive failed logins since the last success or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts since the last successful login, doubles the next lock duration
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lastFailedLoginIp: {
+    type: String
+  },
+  notificationPreferences: {
+    // Notification types the user opted out of
+    disabledTypes: {
+      type: [String],
+      default: []
+    },
+    channels: {
+      inApp: {
+        type: Boolean,
+        default: true
+      },
+      push: {
+        type: Boolean,
+        default: true
+      },
+      whatsapp: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // 'HH:mm' in IST; may wrap past midnight (e.g. 21:00 - 08:00)
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        default: '21:00'
+      },
+      end: {
+        type: String,
+        default: '08:00'
+      }
+    }
   }
 }, {
   timestamps: true
 });
 
+// Index for efficient queries
+userSchema.index({ reportsTo: 1 });
+userSchema.index({ areas: 1 });
+userSchema.index({ lockUntil: 1 });
+
+// Primary area first, followed by the other covered areas without duplicates
+const withPrimaryArea = (area, areas = []) => {
+  const ids = [area, ...areas].filter(Boolean).map(id => id._id || id);
+  const unique = new Map(ids.map(id => [id.toString(), id]));
+  return [...unique.values()];
+};
+
+// Keep the primary area and the area list in sync
+userSchema.pre('validate', function(next) {
+  if (!this.isNew && !this.isModified('area') && !this.isModified('areas')) return next();
+
+  if (!this.area && this.areas.length > 0) {
+    this.area = this.areas[0];
+  }
+  this.areas = withPrimaryArea(this.area, this.areas);
+  next();
+});
+
 // Hash password before saving - only if it's a new password or modified
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new) and is not already hashed
@@ -72,12 +180,66 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Method to get ids of every area the user covers (older documents only have `area`)
+userSchema.methods.getAreaIds = function() {
+  return withPrimaryArea(this.area, this.areas);
+};
+
+// Method to check if the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Record a failed login atomically, locking the account with exponential backoff.
+// Concurrent wrong passwords each count: the counter is only ever changed with $inc,
+// and only the attempt that finds it at the limit turns it into a lock.
+userSchema.statics.registerFailedLogin = async function(userId, ip) {
+  const user = await this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date(), lastFailedLoginIp: ip } },
+    { new: true }
+  ).select('failedLoginAttempts lockCount lockUntil');
+
+  if (!user || user.failedLoginAttempts < MAX_LOGIN_ATTEMPTS) {
+    return user;
+  }
+
+  const lockMinutes = Math.min(BASE_LOCK_MINUTES * Math.pow(2, user.lockCount), MAX_LOCK_MINUTES);
+  const locked = await this.findOneAndUpdate(
+    { _id: userId, failedLoginAttempts: { $gte: MAX_LOGIN_ATTEMPTS } },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  ).select('failedLoginAttempts lockCount lockUntil');
+
+  // A concurrent attempt locked the account first
+  return locked || user;
+};
+
+// Method to clear the failed login state (successful login or admin unlock)
+userSchema.methods.resetLoginFailures = function() {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = null;
+};
+
+// Method to check a named permission of the user's role
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.tempPassword;
+  userObject.permissions = getRolePermissions(this.role);
   return userObject;
 };
 
+userSchema.statics.withPrimaryArea = withPrimaryArea;
+userSchema.statics.MAX_LOGIN_ATTEMPTS = MAX_LOGIN_ATTEMPTS;
+
 module.exports = mongoose.model('User', userSchema);
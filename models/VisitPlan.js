@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const visitPlanSchema = new mongoose.Schema({
+  salesman: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Midnight IST of the planned day
+  date: {
+    type: Date,
+    required: true
+  },
+  visits: [{
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['planned', 'completed', 'skipped'],
+      default: 'planned'
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    // Feedback that completed the visit
+    feedback: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClientFeedback'
+    },
+    completedAt: Date
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One plan per salesman and day
+visitPlanSchema.index({ salesman: 1, date: 1 }, { unique: true });
+// Index for efficient queries
+visitPlanSchema.index({ date: 1 });
+visitPlanSchema.index({ 'visits.client': 1, date: 1 });
+
+module.exports = mongoose.model('VisitPlan', visitPlanSchema);
@@ -1,57 +1,87 @@
 const express = require('express');
-const { validationResult } = require('express-validator');
-const { adminAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const User = require('../models/User');
 const adminController = require('../controllers/admin');
+const { getAuditLogs } = require('../controllers/auditLog');
 const adminValidation = require('../validations/admin');
 
 const router = express.Router();
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard stats
-// @access  Private (Admin only)
-router.get('/dashboard', adminAuth, adminController.getDashboard);
+// @access  Private (dashboard:read)
+router.get('/dashboard', requirePermission('dashboard:read'), adminController.getDashboard);
 
 // @route   POST /api/admin/users
 // @desc    Create new user (salesman)
-// @access  Private (Admin only)
+// @access  Private (users:write)
 router.post('/users', [
-  adminAuth,
-  ...adminValidation.createUserValidation
-], (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  next();
-}, adminController.createUser);
+  requirePermission('users:write'),
+  audit('user.create', User),
+  ...adminValidation.createUserValidation,
+  validate
+], adminController.createUser);
+
+// @route   GET /api/admin/users/locked
+// @desc    Get users (managers: of their team) locked out after failed logins
+// @access  Private (users:read)
+router.get('/users/locked', requirePermission('users:read'), adminController.getLockedUsers);
 
 // @route   GET /api/admin/users
-// @desc    Get all users with pagination and filtering
-// @access  Private (Admin only)
-router.get('/users', adminAuth, adminController.getUsers);
+// @desc    Get all users (managers: their team) with pagination and filtering
+// @access  Private (users:read)
+router.get('/users', requirePermission('users:read'), adminController.getUsers);
 
 // @route   PUT /api/admin/users/:id
 // @desc    Update user
-// @access  Private (Admin only)
+// @access  Private (users:write)
 router.put('/users/:id', [
-  adminAuth,
-  ...adminValidation.updateUserValidation
-], (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  next();
-}, adminController.updateUser);
+  requirePermission('users:write'),
+  audit('user.update', User),
+  ...adminValidation.updateUserValidation,
+  validate
+], adminController.updateUser);
 
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user
-// @access  Private (Admin only)
-router.delete('/users/:id', adminAuth, adminController.deleteUser);
+// @access  Private (users:write)
+router.delete('/users/:id', requirePermission('users:write'), audit('user.delete', User), adminController.deleteUser);
 
 // @route   PATCH /api/admin/users/:id/toggle-status
 // @desc    Toggle user status (active/inactive)
-// @access  Private (Admin only)
-router.patch('/users/:id/toggle-status', adminAuth, adminController.toggleUserStatus);
+// @access  Private (users:write)
+router.patch('/users/:id/toggle-status', requirePermission('users:write'), audit('user.toggle_status', User), adminController.toggleUserStatus);
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Unlock a user locked out after failed logins
+// @access  Private (users:write)
+router.post('/users/:id/unlock', requirePermission('users:write'), audit('user.unlock', User), adminController.unlockUser);
+
+// @route   POST /api/admin/users/:id/reset-password
+// @desc    Reset a user's password to a new temporary one
+// @access  Private (users:write)
+router.post('/users/:id/reset-password', [
+  requirePermission('users:write'),
+  audit('user.reset_password', User),
+  ...adminValidation.resetPasswordValidation,
+  validate
+], adminController.resetUserPassword);
+
+// @route   GET /api/admin/users/:id/sessions
+// @desc    Get active sessions of a user (managers: of their team)
+// @access  Private (users:read)
+router.get('/users/:id/sessions', requirePermission('users:read'), adminController.getUserSessions);
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Revoke all sessions of a user
+// @access  Private (users:write)
+router.delete('/users/:id/sessions', requirePermission('users:write'), audit('user.revoke_sessions', User, { always: true }), adminController.revokeUserSessions);
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit logs of mutating actions
+// @access  Private (audit:read)
+router.get('/audit-logs', requirePermission('audit:read'), getAuditLogs);
 
 module.exports = router;
@@ -1,37 +1,49 @@
 const express = require('express');
-const { adminAuth, auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const Area = require('../models/Area');
 const areaController = require('../controllers/area');
 const areaValidation = require('../validations/area');
 
 const router = express.Router();
 
-// GET /areas - Allow both admin and salesman access
+// GET /areas - Scoped to the user's city unless they have data:all
 router.get('/', 
-  auth,
+  requirePermission('areas:read'),
   areaValidation.getAreasValidation,
+  validate,
   areaController.getAllAreas
 );
 
-// All other routes require admin access
-router.use(adminAuth);
+// All other routes require areas:write
+router.use(requirePermission('areas:write'));
 
 router.post('/', 
+  audit('area.create', Area),
   areaValidation.createAreaValidation,
+  validate,
   areaController.createArea
 );
 
 router.put('/:id', 
+  audit('area.update', Area),
   areaValidation.updateAreaValidation,
+  validate,
   areaController.updateArea
 );
 
 router.patch('/:id/toggle-status', 
+  audit('area.toggle_status', Area),
   areaValidation.toggleStatusValidation,
+  validate,
   areaController.toggleAreaStatus
 );
 
 router.delete('/:id', 
+  audit('area.delete', Area),
   areaValidation.areaIdValidation,
+  validate,
   areaController.deleteArea
 );
 
@@ -1,12 +1,41 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
-const { login, me, changePassword, getMyArea } = require('../controllers/auth');
+const { body } = require('express-validator');
+const { auth, passwordChangeAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const DeviceToken = require('../models/DeviceToken');
+const {
+  login,
+  refresh,
+  logout,
+  me,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  registerDeviceToken,
+  unregisterDeviceToken
+} = require('../controllers/auth');
 
 const router = express.Router();
 
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 
-router.post('/change-password', auth, changePassword);
+router.post('/logout', auth, logout);
+router.post('/change-password', passwordChangeAuth, changePassword);
 router.get('/me', auth, me);
 
+router.post('/devices', auth, [
+  body('token').isString().trim().notEmpty().withMessage('Device token is required'),
+  body('platform').isIn(DeviceToken.PLATFORMS).withMessage(`Platform must be one of: ${DeviceToken.PLATFORMS.join(', ')}`),
+  body('appVersion').optional().isString().trim(),
+  validate
+], registerDeviceToken);
+
+router.delete('/devices', auth, [
+  body('token').isString().trim().notEmpty().withMessage('Device token is required'),
+  validate
+], unregisterDeviceToken);
+
 module.exports = router;
@@ -1,21 +1,33 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { adminAuth, auth } = require('../middleware/auth');
+const multer = require('multer');
+const { body, query } = require('express-validator');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const Client = require('../models/Client');
+const { MAX_TIMELINE_PAGE } = require('../services/clientTimelineService');
+const { MAX_IMPORT_FILE_SIZE } = require('../services/clientImportService');
 const {
   createClient,
   getClients,
+  exportClients,
   getClientById,
+  getClientTimeline,
   updateClient,
   deleteClient,
   assignSalesman,
   toggleClientStatus,
   getSalesmenByCity,
-  getAreasBySalesmanCity
+  getAreasBySalesmanCity,
+  getClientDuplicates,
+  mergeClient,
+  importClients
 } = require('../controllers/client');
 
 const router = express.Router();
 router.post('/', [
-  adminAuth,
+  requirePermission('clients:write'),
+  audit('client.create', Client),
   body('name').notEmpty().withMessage('Client name is required'),
   body('phone').notEmpty().withMessage('Phone number is required'),
   body('area').notEmpty().withMessage('Area is required'),
@@ -25,29 +37,70 @@ router.post('/', [
   body('address.city').optional().trim(),
   body('address.state').optional().trim(),
   body('address.zipCode').optional().trim(),
-  body('notes').optional().trim()
+  body('notes').optional().trim(),
+  body('location.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('location.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('force').optional().isBoolean().withMessage('Force must be a boolean'),
+  validate
 ], createClient);
 
-router.get('/',auth, getClients);
+const importUpload = multer({ limits: { fileSize: MAX_IMPORT_FILE_SIZE } });
 
-router.get('/:id', getClientById);
+// Multipart upload with a "file" field and optional dryRun (skipped by the multer in index.js)
+router.post('/import', [
+  requirePermission('clients:write'),
+  importUpload.any(),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  validate
+], importClients);
+
+router.get('/', requirePermission('clients:read'), getClients);
+
+router.get('/export', requirePermission('clients:export'), exportClients);
+
+router.get('/:id', requirePermission('clients:read'), getClientById);
+
+// Paged by offset, so only the newest MAX_TIMELINE_PAGE pages can be requested
+router.get('/:id/timeline', [
+  requirePermission('clients:read'),
+  query('page').optional().isInt({ min: 1, max: MAX_TIMELINE_PAGE }).withMessage(`Page must be between 1 and ${MAX_TIMELINE_PAGE}`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validate
+], getClientTimeline);
 
 router.put('/:id', 
+  requirePermission('clients:write'),
+  audit('client.update', Client),
   body('name').optional().notEmpty().withMessage('Client name cannot be empty'),
   body('phone').optional().notEmpty().withMessage('Phone number cannot be empty'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
-  body('status').optional().isIn(['active', 'inactive', 'prospect', 'customer']).withMessage('Invalid status')
+  body('status').optional().isIn(['active', 'inactive', 'prospect', 'customer']).withMessage('Invalid status'),
+  body('location.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('location.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('force').optional().isBoolean().withMessage('Force must be a boolean'),
+  validate
 , updateClient);
 
-router.delete('/:id', adminAuth, deleteClient);
+router.delete('/:id', requirePermission('clients:write'), audit('client.delete', Client), deleteClient);
 
 router.post('/:id/assign-salesman', [
-  adminAuth,
-  body('salesmanId').notEmpty().withMessage('Salesman ID is required')
+  requirePermission('clients:assign'),
+  audit('client.assign_salesman', Client),
+  body('salesmanId').notEmpty().withMessage('Salesman ID is required'),
+  validate
 ], assignSalesman);
 
-router.patch('/:id/toggle-status', adminAuth, toggleClientStatus);
+router.patch('/:id/toggle-status', requirePermission('clients:write'), audit('client.toggle_status', Client), toggleClientStatus);
+
+router.get('/:id/duplicates', requirePermission('clients:merge'), getClientDuplicates);
+
+router.post('/:id/merge', [
+  requirePermission('clients:merge'),
+  audit('client.merge', Client),
+  body('duplicateId').isMongoId().withMessage('Valid duplicate client ID is required'),
+  validate
+], mergeClient);
 
-router.get('/salesman/areas', auth, getAreasBySalesmanCity);
+router.get('/salesman/areas', requirePermission('field:access'), getAreasBySalesmanCity);
 
 module.exports = router;
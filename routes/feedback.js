@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const ClientFeedback = require('../models/ClientFeedback');
 const {
   generateSignedUrl,
   generateAudioPlaybackUrl,
@@ -15,24 +18,24 @@ const {
 } = require('../controllers/feedback');
 const feedbackValidation = require('../validations/feedback');
 
-router.post('/signed-url', auth, feedbackValidation.generateSignedUrlValidation, generateSignedUrl);
+router.post('/signed-url', requirePermission('feedback:write'), feedbackValidation.generateSignedUrlValidation, validate, generateSignedUrl);
 
-router.get('/:feedbackId/audio-url', auth, generateAudioPlaybackUrl);
+router.get('/:feedbackId/audio-url', requirePermission('feedback:read'), generateAudioPlaybackUrl);
 
-router.post('/', auth, feedbackValidation.createFeedbackValidation, createFeedback);
+router.post('/', requirePermission('feedback:write'), audit('feedback.save', ClientFeedback, { getId: (req) => req.body.id }), feedbackValidation.createFeedbackValidation, validate, createFeedback);
 
-router.get('/export', auth, exportInquiriesToExcel);
+router.get('/export', requirePermission('feedback:export'), exportInquiriesToExcel);
 
-router.get('/', auth, getAllFeedback);
+router.get('/', requirePermission('feedback:read'), getAllFeedback);
 
-router.get('/client', auth, getFeedbackByClient);
+router.get('/client', requirePermission('feedback:read'), getFeedbackByClient);
 
-router.get('/stats', auth, getFeedbackStats);
+router.get('/stats', requirePermission('feedback:read'), getFeedbackStats);
 
-router.get('/:id', auth, getFeedbackById);
+router.get('/:id', requirePermission('feedback:read'), getFeedbackById);
 
-router.put('/:id', auth, feedbackValidation.updateFeedbackValidation, updateFeedback);
+router.put('/:id', requirePermission('feedback:write'), audit('feedback.update', ClientFeedback), feedbackValidation.updateFeedbackValidation, validate, updateFeedback);
 
-router.delete('/:id', auth, deleteFeedback);
+router.delete('/:id', requirePermission('feedback:write'), audit('feedback.delete', ClientFeedback), deleteFeedback);
 
 module.exports = router;
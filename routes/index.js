@@ -9,6 +9,7 @@ const otpRoutes = require('./otp');
 const feedbackRoutes = require('./feedback');
 const productsRoutes = require('./products');
 const notificationsRoutes = require('./notifications');
+const visitPlansRoutes = require('./visitPlans');
 
 const v1Routes = (app) => {
     app.use('/v1/auth', authRoutes);
@@ -22,6 +23,7 @@ const v1Routes = (app) => {
     app.use('/v1/feedback', feedbackRoutes);
     app.use('/v1/products', productsRoutes);
     app.use('/v1/notifications', notificationsRoutes);
+    app.use('/v1/visit-plans', visitPlansRoutes);
 };
 
 module.exports = v1Routes;
@@ -1,32 +1,90 @@
 const express = require('express');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission, streamAuth } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const User = require('../models/User');
+const {
+  notificationPreferencesValidation,
+  notificationIdValidation,
+  archiveNotificationValidation,
+  bulkNotificationValidation,
+  notificationStatsValidation
+} = require('../validations/notification');
 const {
   getNotifications,
   getUnreadCount,
+  streamNotifications,
   markAsRead,
-  markAllAsRead
+  markAllAsRead,
+  archiveNotification,
+  deleteNotification,
+  bulkUpdateNotifications,
+  getNotificationStats,
+  getPreferences,
+  updatePreferences
 } = require('../controllers/notification');
 
 const router = express.Router();
 
 // @route   GET /api/notifications
 // @desc    Get all notifications/audit logs
-// @access  Private (Admin sees all, Salesman sees only their own)
-router.get('/', auth, getNotifications);
+// @access  Private (notifications:read; notifications:read_all sees all)
+router.get('/', requirePermission('notifications:read'), getNotifications);
 
 // @route   GET /api/notifications/unread-count
 // @desc    Get unread notification count
+// @access  Private (notifications:read)
+router.get('/unread-count', requirePermission('notifications:read'), getUnreadCount);
+
+// @route   GET /api/notifications/stream
+// @desc    Server-Sent Events: new notifications and unread count changes
+// @access  Private (notifications:read; token may be passed as ?token= for EventSource)
+router.get('/stream', streamAuth, requirePermission('notifications:read'), streamNotifications);
+
+// @route   GET /api/notifications/stats
+// @desc    Notification volume per type (total, unread, archived, recipients)
+// @access  Private (notifications:manage)
+router.get('/stats', requirePermission('notifications:manage'), notificationStatsValidation, validate, getNotificationStats);
+
+// @route   POST /api/notifications/bulk
+// @desc    Mark read/unread, archive/unarchive or delete notifications by ids or filter
+// @access  Private (notifications:read; notifications:manage acts on all)
+router.post('/bulk', requirePermission('notifications:read'), bulkNotificationValidation, validate, bulkUpdateNotifications);
+
+// @route   GET /api/notifications/preferences
+// @desc    Get own notification types, channels and quiet hours
 // @access  Private
-router.get('/unread-count', auth, getUnreadCount);
+router.get('/preferences', auth, getPreferences);
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update own notification types, channels and quiet hours
+// @access  Private
+router.put('/preferences',
+  auth,
+  audit('user.update_notification_preferences', User, { getId: (req) => req.user._id }),
+  notificationPreferencesValidation(),
+  validate,
+  updatePreferences
+);
 
 // @route   PATCH /api/notifications/:id/read
 // @desc    Mark notification as read
-// @access  Private
-router.patch('/:id/read', auth, markAsRead);
+// @access  Private (notifications:read)
+router.patch('/:id/read', requirePermission('notifications:read'), markAsRead);
 
 // @route   PATCH /api/notifications/read-all
 // @desc    Mark all notifications as read
-// @access  Private
-router.patch('/read-all', auth, markAllAsRead);
+// @access  Private (notifications:read)
+router.patch('/read-all', requirePermission('notifications:read'), markAllAsRead);
+
+// @route   PATCH /api/notifications/:id/archive
+// @desc    Archive (or with archived: false, unarchive) a notification
+// @access  Private (notifications:read)
+router.patch('/:id/archive', requirePermission('notifications:read'), archiveNotificationValidation, validate, archiveNotification);
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification (OTP and security notices can only be archived)
+// @access  Private (notifications:read)
+router.delete('/:id', requirePermission('notifications:read'), notificationIdValidation, validate, deleteNotification);
 
 module.exports = router;
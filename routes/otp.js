@@ -1,22 +1,28 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   sendOTP,
   verifyOTP,
   resendOTP,
-  getOTPStatus
+  getOTPStatus,
+  requestOverride,
+  getOverrides,
+  decideOverride
 } = require('../controllers/otp');
-const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { audit } = require('../middleware/audit');
+const OtpOverride = require('../models/OtpOverride');
 
 const router = express.Router();
 
-router.post('/send', auth, [
+router.post('/send', requirePermission('otp:send'), [
   body('clientId')
     .notEmpty()
     .withMessage('Client ID is required')
     .isMongoId()
     .withMessage('Invalid client ID')
-], sendOTP);
+], validate, sendOTP);
 
 router.post('/verify', [
   body('clientId')
@@ -31,14 +37,54 @@ router.post('/verify', [
     .withMessage('OTP must be 6 digits')
     .isNumeric()
     .withMessage('OTP must contain only numbers')
-], verifyOTP);
+], validate, verifyOTP);
 
-router.post('/resend', auth, [
+router.post('/resend', requirePermission('otp:send'), [
   body('clientId')
     .notEmpty()
     .withMessage('Client ID is required')
     .isMongoId()
     .withMessage('Invalid client ID')
-], resendOTP);
+], validate, resendOTP);
+
+// Manual verification when OTP delivery failed (OTP_FALLBACK_POLICY=manual)
+router.post('/overrides', requirePermission('otp:send'), audit('otp.override_request', OtpOverride), [
+  body('clientId')
+    .notEmpty()
+    .withMessage('Client ID is required')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+], validate, requestOverride);
+
+router.get('/overrides', requirePermission('otp:override'), [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be one of: pending, approved, rejected'),
+  query('clientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid client ID')
+], validate, getOverrides);
+
+router.patch('/overrides/:id', requirePermission('otp:override'), audit('otp.override_decision', OtpOverride, { always: true }), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid request ID'),
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters')
+], validate, decideOverride);
 
 module.exports = router;
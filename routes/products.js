@@ -15,30 +15,33 @@ const {
     getProductValidation,
     deleteProductValidation
 } = require('../validations/product');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const Product = require('../models/Product');
 
 // Apply authentication middleware to all routes
 router.use(auth);
 
 // Get all products with pagination and search
-router.get('/', getAllProducts);
+router.get('/', requirePermission('products:read'), getAllProducts);
 
 // Get product statistics
-router.get('/stats', getProductStats);
+router.get('/stats', requirePermission('products:read'), getProductStats);
 
 // Get single product by ID
-router.get('/:id', getProductValidation, getProductById);
+router.get('/:id', requirePermission('products:read'), getProductValidation, validate, getProductById);
 
 // Create new product
-router.post('/', createProductValidation, createProduct);
+router.post('/', requirePermission('products:write'), audit('product.create', Product), createProductValidation, validate, createProduct);
 
 // Update product
-router.put('/:id', updateProductValidation, updateProduct);
+router.put('/:id', requirePermission('products:write'), audit('product.update', Product), updateProductValidation, validate, updateProduct);
 
 // Delete product
-router.delete('/:id', deleteProductValidation, deleteProduct);
+router.delete('/:id', requirePermission('products:write'), audit('product.delete', Product), deleteProductValidation, validate, deleteProduct);
 
 // Toggle product status
-router.patch('/:id/toggle-status', getProductValidation, toggleProductStatus);
+router.patch('/:id/toggle-status', requirePermission('products:write'), audit('product.toggle_status', Product), getProductValidation, validate, toggleProductStatus);
 
 module.exports = router;
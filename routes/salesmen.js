@@ -1,218 +1,374 @@
 const express = require('express');
-const { salesmanAuth } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { body, param, query } = require('express-validator');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
 const Client = require('../models/Client');
+const ClientFeedback = require('../models/ClientFeedback');
 const User = require('../models/User');
+const { getTodayPlan } = require('../controllers/visitPlan');
+const { getAccessibleAreaIds } = require('../utils/scope');
+const { toPoint } = require('../utils/geo');
+const { toPreferenceUpdate } = require('../services/notificationPreferences');
+const { notificationPreferencesValidation } = require('../validations/notification');
+const { startOfDayIST, endOfDayIST } = require('../utils/date');
+const { sendSuccess, asyncHandler } = require('../utils/response');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
 const router = express.Router();
 
-router.get('/profile', salesmanAuth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id)
-      .select('-password')
-      .populate('area', 'name city state');
-    
-    res.json(user);
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+// Area restriction for client queries, none for unscoped (data:all) users
+const areaFilter = (areaIds) => (areaIds ? { area: { $in: areaIds } } : {});
+
+const NEARBY_DEFAULT_RADIUS_METERS = 5000;
+const NEARBY_MAX_RADIUS_METERS = 50000;
+
+router.get('/profile', requirePermission('field:access'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select('-password')
+    .populate('area', 'name city state')
+    .populate('areas', 'name city state');
+  
+  sendSuccess(res, user);
+}));
 
 // @route   PUT /api/salesmen/profile
 // @desc    Update salesman profile
-// @access  Private (Salesman only)
-router.put('/profile', salesmanAuth, async (req, res) => {
-  try {
-    const { firstName, lastName, phone } = req.body;
-    
-    const updateData = {};
-    if (firstName) updateData.firstName = firstName;
-    if (lastName) updateData.lastName = lastName;
-    if (phone) updateData.phone = phone;
-
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updateData,
-      { new: true, runValidators: true }
-    ).select('-password').populate('area', 'name city state');
-
-    res.json(user);
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+// @access  Private (field:access)
+router.put('/profile', requirePermission('field:access'), audit('user.update_profile', User, { getId: (req) => req.user._id }), [
+  ...notificationPreferencesValidation('notificationPreferences.'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { firstName, lastName, phone, notificationPreferences } = req.body;
+  
+  const updateData = {};
+  if (firstName) updateData.firstName = firstName;
+  if (lastName) updateData.lastName = lastName;
+  if (phone) updateData.phone = phone;
+  if (notificationPreferences) Object.assign(updateData, toPreferenceUpdate(notificationPreferences));
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    updateData,
+    { new: true, runValidators: true }
+  ).select('-password')
+    .populate('area', 'name city state')
+    .populate('areas', 'name city state');
+
+  sendSuccess(res, user, 'Profile updated successfully');
+}));
 
 // @route   GET /api/salesmen/clients
-// @desc    Get clients assigned to salesman's area
-// @access  Private (Salesman only)
-router.get('/clients', salesmanAuth, async (req, res) => {
-  try {
-    const { status, search, page = 1, limit = 20 } = req.query;
-    
-    let query = { 
-      area: req.user.area,
-      isActive: true 
-    };
-    
-    if (status) query.status = status;
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { company: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } }
-      ];
-    }
+// @desc    Get clients in the salesman's areas
+// @access  Private (field:access)
+router.get('/clients', requirePermission('field:access'), asyncHandler(async (req, res) => {
+  const { status, search, page = 1, limit = 20 } = req.query;
+  const areaIds = await getAccessibleAreaIds(req.user);
+  
+  let query = { 
+    ...areaFilter(areaIds),
+    isActive: true 
+  };
+  
+  if (status) query.status = status;
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { company: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  const clients = await Client.find(query)
+    .populate('area', 'name city state')
+    .sort({ name: 1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Client.countDocuments(query);
+
+  sendSuccess(res, {
+    clients,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    total
+  });
+}));
 
-    const clients = await Client.find(query)
-      .populate('area', 'name city state')
-      .sort({ name: 1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Client.countDocuments(query);
-
-    res.json({
-      clients,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
-  } catch (error) {
-    console.error('Get clients error:', error);
-    res.status(500).json({ message: 'Server error' });
+// @route   GET /api/salesmen/clients/nearby
+// @desc    Get clients in the salesman's areas closest to a position
+// @access  Private (field:access)
+router.get('/clients/nearby', requirePermission('field:access'), [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('radius').optional().isInt({ min: 1, max: NEARBY_MAX_RADIUS_METERS }).withMessage(`Radius must be between 1 and ${NEARBY_MAX_RADIUS_METERS} meters`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { lat, lng, status, search, radius = NEARBY_DEFAULT_RADIUS_METERS, limit = 50 } = req.query;
+  const areaIds = await getAccessibleAreaIds(req.user);
+
+  // $geoNear does not cast, so ids must already be ObjectIds
+  let match = { isActive: true };
+  if (areaIds) match.area = { $in: areaIds.map(id => new mongoose.Types.ObjectId(id)) };
+  if (status) match.status = status;
+  if (search) {
+    match.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { company: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } }
+    ];
   }
-});
+
+  const clients = await Client.aggregate([
+    {
+      $geoNear: {
+        near: toPoint(lat, lng),
+        distanceField: 'distance',
+        maxDistance: parseInt(radius),
+        query: match,
+        spherical: true
+      }
+    },
+    { $limit: parseInt(limit) },
+    {
+      $lookup: {
+        from: 'areas',
+        localField: 'area',
+        foreignField: '_id',
+        as: 'area'
+      }
+    },
+    { $unwind: { path: '$area', preserveNullAndEmptyArrays: true } },
+    // Latest visit decides the current lead color
+    {
+      $lookup: {
+        from: 'clientfeedbacks',
+        let: { clientId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$client', '$$clientId'] }, isActive: true } },
+          { $sort: { date: -1, createdAt: -1 } },
+          { $limit: 1 },
+          { $project: { date: 1, lead: 1 } }
+        ],
+        as: 'lastFeedback'
+      }
+    },
+    { $unwind: { path: '$lastFeedback', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        name: 1,
+        company: 1,
+        phone: 1,
+        address: 1,
+        location: 1,
+        'area._id': 1,
+        'area.name': 1,
+        'area.city': 1,
+        'area.state': 1,
+        status: 1,
+        distance: { $round: ['$distance', 0] },
+        lastVisitDate: { $ifNull: ['$lastFeedback.date', null] },
+        lead: { $ifNull: ['$lastFeedback.lead', null] }
+      }
+    }
+  ]);
+
+  sendSuccess(res, {
+    clients,
+    radius: parseInt(radius),
+    total: clients.length
+  });
+}));
 
 // @route   GET /api/salesmen/clients/:id
 // @desc    Get specific client details
-// @access  Private (Salesman only)
-router.get('/clients/:id', salesmanAuth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const client = await Client.findOne({
-      _id: id,
-      area: req.user.area,
-      isActive: true
-    }).populate('area', 'name city state');
+// @access  Private (field:access)
+router.get('/clients/:id', requirePermission('field:access'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const areaIds = await getAccessibleAreaIds(req.user);
+  
+  const client = await Client.findOne({
+    _id: id,
+    ...areaFilter(areaIds),
+    isActive: true
+  }).populate('area', 'name city state');
 
-    if (!client) {
-      return res.status(404).json({ message: 'Client not found' });
-    }
+  if (!client) {
+    throw new NotFoundError('Client not found');
+  }
+
+  sendSuccess(res, client);
+}));
+
+// @route   GET /api/salesmen/plan/today
+// @desc    Get today's visit plan
+// @access  Private (field:access)
+router.get('/plan/today', requirePermission('field:access'), getTodayPlan);
+
+// @route   GET /api/salesmen/follow-ups
+// @desc    Get the salesman's open follow-ups (due, overdue, upcoming or all)
+// @access  Private (field:access)
+router.get('/follow-ups', requirePermission('field:access'), [
+  query('status').optional().isIn(['due', 'overdue', 'upcoming', 'all']).withMessage('Status must be due, overdue, upcoming or all'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { status = 'all', page = 1, limit = 20 } = req.query;
+  const startOfToday = startOfDayIST();
+
+  let query = {
+    createdBy: req.user._id,
+    followUpStatus: 'pending',
+    isActive: true
+  };
+
+  if (status === 'due') query.followUpDate = { $gte: startOfToday, $lte: endOfDayIST() };
+  if (status === 'overdue') query.followUpDate = { $lt: startOfToday };
+  if (status === 'upcoming') query.followUpDate = { $gt: endOfDayIST() };
 
-    res.json(client);
-  } catch (error) {
-    console.error('Get client error:', error);
-    res.status(500).json({ message: 'Server error' });
+  const followUps = await ClientFeedback.find(query)
+    .select('client lead date notes followUpDate followUpNote followUpStatus')
+    .populate('client', 'name company phone address area')
+    .sort({ followUpDate: 1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await ClientFeedback.countDocuments(query);
+
+  const [due, overdue] = await Promise.all([
+    ClientFeedback.countDocuments({ ...query, followUpDate: { $gte: startOfToday, $lte: endOfDayIST() } }),
+    ClientFeedback.countDocuments({ ...query, followUpDate: { $lt: startOfToday } })
+  ]);
+
+  sendSuccess(res, {
+    followUps,
+    counts: { due, overdue },
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page),
+    total
+  });
+}));
+
+// @route   PATCH /api/salesmen/follow-ups/:id
+// @desc    Close a follow-up without a new visit
+// @access  Private (field:access)
+router.patch('/follow-ups/:id', requirePermission('field:access'), audit('feedback.update_follow_up', ClientFeedback), [
+  param('id').isMongoId().withMessage('Invalid feedback ID'),
+  body('status').isIn(['done', 'cancelled']).withMessage('Status must be done or cancelled'),
+  validate
+], asyncHandler(async (req, res) => {
+  const feedback = await ClientFeedback.findOneAndUpdate(
+    { _id: req.params.id, createdBy: req.user._id, followUpStatus: 'pending', isActive: true },
+    { followUpStatus: req.body.status },
+    { new: true }
+  ).select('client lead date followUpDate followUpNote followUpStatus');
+
+  if (!feedback) {
+    throw new NotFoundError('Follow-up not found');
   }
-});
+
+  sendSuccess(res, feedback, 'Follow-up updated successfully');
+}));
 
 // @route   GET /api/salesmen/dashboard
 // @desc    Get salesman dashboard stats
-// @access  Private (Salesman only)
-router.get('/dashboard', salesmanAuth, async (req, res) => {
-  try {
-    const totalClients = await Client.countDocuments({
-      area: req.user.area,
-      isActive: true
-    });
-
-    const clientsByStatus = await Client.aggregate([
-      {
-        $match: {
-          area: req.user._id,
-          isActive: true
-        }
-      },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
+// @access  Private (field:access)
+router.get('/dashboard', requirePermission('field:access'), asyncHandler(async (req, res) => {
+  const areaIds = await getAccessibleAreaIds(req.user);
+
+  const totalClients = await Client.countDocuments({
+    ...areaFilter(areaIds),
+    isActive: true
+  });
+
+  const clientsByStatus = await Client.aggregate([
+    {
+      $match: {
+        ...areaFilter(areaIds && areaIds.map(id => new mongoose.Types.ObjectId(id))),
+        isActive: true
+      }
+    },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 }
       }
-    ]);
+    }
+  ]);
 
-    const recentClients = await Client.find({
-      area: req.user.area,
-      isActive: true
-    })
-    .select('name company status createdAt')
-    .sort({ createdAt: -1 })
-    .limit(5);
-
-    const statusCounts = {};
-    clientsByStatus.forEach(item => {
-      statusCounts[item._id] = item.count;
-    });
-
-    res.json({
-      stats: {
-        totalClients,
-        statusCounts
-      },
-      recentClients
-    });
-  } catch (error) {
-    console.error('Dashboard error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+  const recentClients = await Client.find({
+    ...areaFilter(areaIds),
+    isActive: true
+  })
+  .select('name company status createdAt')
+  .sort({ createdAt: -1 })
+  .limit(5);
+
+  const statusCounts = {};
+  clientsByStatus.forEach(item => {
+    statusCounts[item._id] = item.count;
+  });
+
+  sendSuccess(res, {
+    stats: {
+      totalClients,
+      statusCounts
+    },
+    recentClients
+  });
+}));
 
 // @route   POST /api/salesmen/clients/:id/update-status
 // @desc    Update client status (for tracking purposes)
-// @access  Private (Salesman only)
-router.post('/clients/:id/update-status', salesmanAuth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, notes } = req.body;
-    
-    if (!status) {
-      return res.status(400).json({ message: 'Status is required' });
-    }
+// @access  Private (field:access)
+router.post('/clients/:id/update-status', requirePermission('field:access'), audit('client.update_status', Client), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, notes } = req.body;
+  
+  if (!status) {
+    throw new ValidationError('Status is required');
+  }
 
-    const client = await Client.findOneAndUpdate(
-      {
-        _id: id,
-        area: req.user.area,
-        isActive: true
-      },
-      {
-        status,
-        notes: notes ? notes : undefined,
-        lastContact: new Date()
-      },
-      { new: true }
-    ).populate('area', 'name city state');
-
-    if (!client) {
-      return res.status(404).json({ message: 'Client not found' });
-    }
+  const areaIds = await getAccessibleAreaIds(req.user);
 
-    res.json(client);
-  } catch (error) {
-    console.error('Update client status error:', error);
-    res.status(500).json({ message: 'Server error' });
+  const client = await Client.findOneAndUpdate(
+    {
+      _id: id,
+      ...areaFilter(areaIds),
+      isActive: true
+    },
+    {
+      status,
+      notes: notes ? notes : undefined,
+      lastContact: new Date()
+    },
+    { new: true }
+  ).populate('area', 'name city state');
+
+  if (!client) {
+    throw new NotFoundError('Client not found');
   }
-});
 
-// @route   GET /api/salesmen/area-info
-// @desc    Get salesman's area information
-// @access  Private (Salesman only)
-router.get('/area-info', salesmanAuth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id)
-      .populate('area', 'name city state description coordinates');
-    
-    if (!user.area) {
-      return res.status(404).json({ message: 'No area assigned' });
-    }
+  sendSuccess(res, client, 'Client status updated successfully');
+}));
 
-    res.json(user.area);
-  } catch (error) {
-    console.error('Get area info error:', error);
-    res.status(500).json({ message: 'Server error' });
+// @route   GET /api/salesmen/area-info
+// @desc    Get salesman's primary area information and all covered areas
+// @access  Private (field:access)
+router.get('/area-info', requirePermission('field:access'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .populate('area', 'name city state description location')
+    .populate('areas', 'name city state description location');
+  
+  if (!user.area) {
+    throw new NotFoundError('No area assigned');
   }
-});
+
+  sendSuccess(res, {
+    ...user.area.toObject(),
+    areas: user.areas
+  });
+}));
 
 module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const VisitPlan = require('../models/VisitPlan');
+const visitPlanController = require('../controllers/visitPlan');
+const visitPlanValidation = require('../validations/visitPlan');
+
+const router = express.Router();
+
+// GET /visit-plans/reports/adherence - Planned vs. completed vs. unplanned visits
+router.get('/reports/adherence',
+  requirePermission('visits:report'),
+  visitPlanValidation.dateRangeValidation,
+  validate,
+  visitPlanController.getAdherenceReport
+);
+
+// GET /visit-plans - Scoped to the user and their team unless they have data:all
+router.get('/',
+  requirePermission('visits:read'),
+  visitPlanValidation.dateRangeValidation,
+  validate,
+  visitPlanController.getVisitPlans
+);
+
+router.get('/:id',
+  requirePermission('visits:read'),
+  visitPlanValidation.visitPlanIdValidation,
+  validate,
+  visitPlanController.getVisitPlanById
+);
+
+// All other routes require visits:write
+router.use(requirePermission('visits:write'));
+
+router.post('/',
+  audit('visit_plan.create', VisitPlan),
+  visitPlanValidation.createVisitPlanValidation,
+  validate,
+  visitPlanController.createVisitPlan
+);
+
+router.put('/:id',
+  audit('visit_plan.update', VisitPlan),
+  visitPlanValidation.updateVisitPlanValidation,
+  validate,
+  visitPlanController.updateVisitPlan
+);
+
+router.patch('/:id/visits/:visitId',
+  audit('visit_plan.update_visit', VisitPlan),
+  visitPlanValidation.updateVisitStatusValidation,
+  validate,
+  visitPlanController.updateVisitStatus
+);
+
+router.delete('/:id',
+  audit('visit_plan.delete', VisitPlan),
+  visitPlanValidation.visitPlanIdValidation,
+  validate,
+  visitPlanController.deleteVisitPlan
+);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = ['password', 'tempPassword', 'otp', 'refreshTokenHash', 'previousRefreshTokenHash'];
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const normalize = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+const redact = (doc) => {
+  REDACTED_FIELDS.forEach(field => {
+    if (field in doc) doc[field] = '[REDACTED]';
+  });
+  return doc;
+};
+
+/**
+ * Compare two snapshots of a document
+ * @param {Object|null} before - Document before the change
+ * @param {Object|null} after - Document after the change
+ * @returns {Object} - { before, after, changedFields } limited to the changed top-level fields
+ */
+const diff = (before, after) => {
+  const oldDoc = normalize(before) || {};
+  const newDoc = normalize(after) || {};
+  const fields = new Set([...Object.keys(oldDoc), ...Object.keys(newDoc)]);
+
+  const changedFields = [...fields].filter(field =>
+    !IGNORED_FIELDS.includes(field) &&
+    JSON.stringify(oldDoc[field]) !== JSON.stringify(newDoc[field])
+  );
+
+  const pick = (doc, source) => {
+    if (!source) return null;
+    return redact(changedFields.reduce((result, field) => {
+      if (field in doc) result[field] = doc[field];
+      return result;
+    }, {}));
+  };
+
+  return {
+    before: pick(oldDoc, before),
+    after: pick(newDoc, after),
+    changedFields
+  };
+};
+
+/**
+ * Write an audit log entry for a mutating action
+ * @param {Object} req - Express request (actor, IP and route are taken from it)
+ * @param {Object} entry - { action, entityType, entityId, before, after, always }
+ * @returns {Promise<Object|null>} - The saved entry, or null when nothing changed
+ */
+const recordAudit = async (req, { action, entityType, entityId, before = null, after = null, always = false }) => {
+  const changes = diff(before, after);
+
+  // Updates that did not change anything are not worth a record, unless the action itself matters
+  if (before && after && changes.changedFields.length === 0 && !always) {
+    return null;
+  }
+
+  return AuditLog.create({
+    actor: req.user?._id,
+    actorName: req.user ? `${req.user.firstName} ${req.user.lastName}` : undefined,
+    actorRole: req.user?.role,
+    action,
+    entityType,
+    entityId,
+    before: changes.before,
+    after: changes.after,
+    changedFields: changes.changedFields,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+module.exports = {
+  diff,
+  recordAudit
+};
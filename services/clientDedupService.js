@@ -0,0 +1,279 @@
+const Client = require('../models/Client');
+const ClientFeedback = require('../models/ClientFeedback');
+const Otp = require('../models/Otp');
+const Notification = require('../models/Notification');
+const { hasCoordinates } = require('../utils/geo');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Names at least this similar (0..1) are reported as possible duplicates
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+// Words that do not tell two shops apart
+const STOP_WORDS = ['the', 'and', 'co', 'pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'm', 's'];
+// Fields copied from the duplicate when the surviving client has no value
+const MERGE_FILL_FIELDS = ['company', 'email', 'salesman', 'notes'];
+
+const normalizeName = (value) => {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.includes(word))
+    .join(' ');
+};
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = current;
+    }
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two shop/person names, ignoring case, punctuation and legal suffixes
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} - 1 for the same name, 0 for nothing in common
+ */
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  // "Sharma Traders" vs "Sharma Traders Kirana"
+  const shorter = left.length < right.length ? left : right;
+  const longer = shorter === left ? right : left;
+  if (shorter.length >= 4 && longer.includes(shorter)) {
+    return NAME_SIMILARITY_THRESHOLD;
+  }
+
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+// Clients saved before normalizedPhone existed only have the raw phone
+const legacyPhonePattern = (normalizedPhone) => {
+  const lastDigits = normalizedPhone.slice(-10).split('');
+  return new RegExp(`${lastDigits.join('\\D*')}\\D*$`);
+};
+
+const DUPLICATE_FIELDS = 'name company phone normalizedPhone area salesman createdAt';
+
+// Score the loaded clients against the candidate; phoneClients already share its phone
+const collectMatches = ({ name, company }, phoneClients, areaClients) => {
+  const matches = new Map();
+  const addMatch = (client, field, score) => {
+    const key = client._id.toString();
+    const match = matches.get(key) || { client, matchedOn: [], score: 0 };
+    if (!match.matchedOn.includes(field)) match.matchedOn.push(field);
+    match.score = Math.max(match.score, score);
+    matches.set(key, match);
+  };
+
+  phoneClients.forEach(client => addMatch(client, 'phone', 1));
+
+  areaClients.forEach(client => {
+    const nameScore = nameSimilarity(name, client.name);
+    if (nameScore >= NAME_SIMILARITY_THRESHOLD) {
+      addMatch(client, 'name', nameScore);
+    }
+
+    const companyScore = company && client.company ? nameSimilarity(company, client.company) : 0;
+    if (companyScore >= NAME_SIMILARITY_THRESHOLD) {
+      addMatch(client, 'company', companyScore);
+    }
+  });
+
+  return [...matches.values()].sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find active clients that look like the given one
+ * @param {Object} candidate - { phone, name, company, area }
+ * @param {Object} [options] - { excludeId, phoneOnly }
+ * @returns {Promise<Array>} - [{ client, matchedOn: ['phone'|'name'|'company'], score }] best first
+ */
+const findDuplicates = async ({ phone, name, company, area }, { excludeId = null, phoneOnly = false } = {}) => {
+  const baseQuery = { isActive: true, mergedInto: null };
+  if (excludeId) baseQuery._id = { $ne: excludeId };
+
+  const normalizedPhone = Client.normalizePhone(phone);
+  const phoneClients = normalizedPhone
+    ? await Client.find({
+      ...baseQuery,
+      $or: [
+        { normalizedPhone },
+        { normalizedPhone: null, phone: legacyPhonePattern(normalizedPhone) }
+      ]
+    })
+      .select(DUPLICATE_FIELDS)
+      .populate('area', 'name city state')
+    : [];
+
+  const areaClients = !phoneOnly && area && (name || company)
+    ? await Client.find({ ...baseQuery, area })
+      .select(DUPLICATE_FIELDS)
+      .populate('area', 'name city state')
+    : [];
+
+  return collectMatches({ name, company }, phoneClients, areaClients);
+};
+
+/**
+ * Load the clients that findDuplicates would query for many candidates at once,
+ * so a whole import is checked with two queries instead of two per row
+ * @param {Array} candidates - [{ phone, area }] where area is an Area id
+ * @returns {Promise<Function>} - (candidate) => same result as findDuplicates(candidate)
+ */
+const createDuplicateMatcher = async (candidates) => {
+  const baseQuery = { isActive: true, mergedInto: null };
+  const phones = [...new Set(candidates.map(({ phone }) => Client.normalizePhone(phone)).filter(Boolean))];
+  const areaIds = [...new Set(candidates.map(({ area }) => area && area.toString()).filter(Boolean))];
+
+  // Only legacy clients whose raw phone matches a phone of the candidates are loaded
+  const [phoneClients, areaClients] = await Promise.all([
+    phones.length > 0
+      ? Client.find({
+        ...baseQuery,
+        $or: [
+          { normalizedPhone: { $in: phones } },
+          { normalizedPhone: null, phone: { $in: phones.map(legacyPhonePattern) } }
+        ]
+      })
+        .select(DUPLICATE_FIELDS)
+        .populate('area', 'name city state')
+      : [],
+    areaIds.length > 0
+      ? Client.find({ ...baseQuery, area: { $in: areaIds } })
+        .select(DUPLICATE_FIELDS)
+        .populate('area', 'name city state')
+      : []
+  ]);
+
+  const clientsByPhone = new Map();
+  const legacyClients = [];
+  phoneClients.forEach(client => {
+    if (!client.normalizedPhone) {
+      legacyClients.push(client);
+      return;
+    }
+    const list = clientsByPhone.get(client.normalizedPhone) || [];
+    list.push(client);
+    clientsByPhone.set(client.normalizedPhone, list);
+  });
+
+  const clientsByArea = new Map();
+  areaClients.forEach(client => {
+    const key = (client.area?._id || client.area).toString();
+    const list = clientsByArea.get(key) || [];
+    list.push(client);
+    clientsByArea.set(key, list);
+  });
+
+  return ({ phone, name, company, area }) => {
+    const normalizedPhone = Client.normalizePhone(phone);
+    let samePhone = [];
+    if (normalizedPhone) {
+      const pattern = legacyPhonePattern(normalizedPhone);
+      samePhone = [
+        ...(clientsByPhone.get(normalizedPhone) || []),
+        ...legacyClients.filter(client => pattern.test(client.phone))
+      ];
+    }
+    const sameArea = area && (name || company) ? clientsByArea.get(area.toString()) || [] : [];
+
+    return collectMatches({ name, company }, samePhone, sameArea);
+  };
+};
+
+/**
+ * Merge a duplicate client into the surviving one.
+ * Feedback, OTPs and notifications of the duplicate are moved over, blank fields of the
+ * survivor are filled from the duplicate and the duplicate is deactivated.
+ * @param {string} survivorId - Client that is kept
+ * @param {string} duplicateId - Client that is merged away
+ * @param {Object} user - User performing the merge
+ * @returns {Promise<Object>} - { client, duplicate, moved }
+ */
+const mergeClients = async (survivorId, duplicateId, user) => {
+  if (String(survivorId) === String(duplicateId)) {
+    throw new ValidationError('A client cannot be merged into itself');
+  }
+
+  const [survivor, duplicate] = await Promise.all([
+    Client.findById(survivorId),
+    Client.findById(duplicateId)
+  ]);
+
+  if (!survivor) {
+    throw new NotFoundError('Client not found');
+  }
+  if (!duplicate) {
+    throw new NotFoundError('Duplicate client not found');
+  }
+  if (survivor.mergedInto) {
+    throw new ValidationError('Client has already been merged into another client');
+  }
+  if (duplicate.mergedInto) {
+    throw new ValidationError('Duplicate client has already been merged');
+  }
+
+  const [feedback, otps, notifications] = await Promise.all([
+    ClientFeedback.updateMany({ client: duplicate._id }, { client: survivor._id }),
+    Otp.updateMany({ client: duplicate._id }, { client: survivor._id }),
+    Notification.updateMany({ client: duplicate._id }, { client: survivor._id })
+  ]);
+
+  MERGE_FILL_FIELDS.forEach(field => {
+    if (!survivor[field] && duplicate[field]) {
+      survivor[field] = duplicate[field];
+    }
+  });
+  ['street', 'city', 'state', 'zipCode'].forEach(field => {
+    if (!survivor.address?.[field] && duplicate.address?.[field]) {
+      survivor.set(`address.${field}`, duplicate.address[field]);
+    }
+  });
+  if (!hasCoordinates(survivor.location) && hasCoordinates(duplicate.location)) {
+    survivor.location = duplicate.location;
+  }
+  await survivor.save();
+
+  duplicate.isActive = false;
+  duplicate.mergedInto = survivor._id;
+  duplicate.mergedAt = new Date();
+  duplicate.mergedBy = user._id;
+  await duplicate.save();
+
+  return {
+    client: survivor,
+    duplicate,
+    moved: {
+      feedback: feedback.modifiedCount,
+      otps: otps.modifiedCount,
+      notifications: notifications.modifiedCount
+    }
+  };
+};
+
+module.exports = {
+  nameSimilarity,
+  findDuplicates,
+  createDuplicateMatcher,
+  mergeClients
+};
@@ -0,0 +1,185 @@
+const ExcelJS = require('exceljs');
+const Client = require('../models/Client');
+const ClientFeedback = require('../models/ClientFeedback');
+const { toCsvRow } = require('../utils/csv');
+
+const BATCH_SIZE = 500;
+
+// Stops the export once the client has gone away
+class ExportAbortedError extends Error {}
+
+const COLUMNS = [
+  { header: 'Name', key: 'name', width: 25 },
+  { header: 'Company', key: 'company', width: 25 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Street', key: 'street', width: 30 },
+  { header: 'Zip Code', key: 'zipCode', width: 10 },
+  { header: 'Area', key: 'area', width: 20 },
+  { header: 'City', key: 'city', width: 16 },
+  { header: 'State', key: 'state', width: 16 },
+  { header: 'Latitude', key: 'latitude', width: 12 },
+  { header: 'Longitude', key: 'longitude', width: 12 },
+  { header: 'Salesman', key: 'salesman', width: 22 },
+  { header: 'Salesman Phone', key: 'salesmanPhone', width: 16 },
+  { header: 'Status', key: 'status', width: 10 },
+  { header: 'Active', key: 'isActive', width: 8 },
+  { header: 'Last Feedback Date', key: 'lastFeedbackDate', width: 18 },
+  { header: 'Lead Color', key: 'lead', width: 10 },
+  { header: 'Notes', key: 'notes', width: 40 },
+  { header: 'Created At', key: 'createdAt', width: 18 }
+];
+
+// Latest active feedback (date and lead color) per client of the batch
+const getLatestFeedback = async (clientIds) => {
+  const latest = await ClientFeedback.aggregate([
+    { $match: { client: { $in: clientIds }, isActive: true } },
+    { $sort: { date: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: '$client',
+        date: { $first: '$date' },
+        lead: { $first: '$lead' }
+      }
+    }
+  ]);
+
+  return new Map(latest.map(item => [item._id.toString(), item]));
+};
+
+const toRow = (client, feedback) => ({
+  name: client.name,
+  company: client.company || '',
+  phone: client.phone,
+  email: client.email || '',
+  street: client.address?.street || '',
+  zipCode: client.address?.zipCode || '',
+  area: client.area?.name || '',
+  city: client.area?.city || client.address?.city || '',
+  state: client.area?.state || client.address?.state || '',
+  latitude: client.location?.coordinates?.[1] ?? '',
+  longitude: client.location?.coordinates?.[0] ?? '',
+  salesman: client.salesman ? `${client.salesman.firstName || ''} ${client.salesman.lastName || ''}`.trim() : '',
+  salesmanPhone: client.salesman?.phone || '',
+  status: client.status,
+  isActive: client.isActive ? 'Yes' : 'No',
+  lastFeedbackDate: feedback?.date || null,
+  lead: feedback?.lead || '',
+  notes: (client.notes || '').replace(/\n/g, ' '),
+  createdAt: client.createdAt
+});
+
+// Walk the matching clients in batches so large exports never sit in memory at once
+const forEachBatch = async (query, handler) => {
+  const cursor = Client.find(query)
+    .populate('area', 'name city state')
+    .populate('salesman', 'firstName lastName phone')
+    .sort({ createdAt: -1 })
+    .cursor({ batchSize: BATCH_SIZE });
+
+  try {
+    let batch = [];
+    for await (const client of cursor) {
+      batch.push(client);
+      if (batch.length === BATCH_SIZE) {
+        await handler(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await handler(batch);
+    }
+  } finally {
+    // Also releases the server-side cursor when the export stopped early
+    await cursor.close();
+  }
+};
+
+const withFeedback = async (clients) => {
+  const latestFeedback = await getLatestFeedback(clients.map(client => client._id));
+  return clients.map(client => toRow(client, latestFeedback.get(client._id.toString())));
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+const ensureOpen = (res) => {
+  if (res.destroyed) throw new ExportAbortedError();
+};
+
+// Resolve once the response has room for more data, reject if it closes first
+const write = (res, chunk) => {
+  ensureOpen(res);
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const settle = (done) => () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      done();
+    };
+    const onDrain = settle(resolve);
+    const onClose = settle(() => reject(new ExportAbortedError()));
+
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+};
+
+const writeExport = async (res, query, format) => {
+  const fileName = `clients_export_${new Date().toISOString().split('T')[0]}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Clients');
+    sheet.columns = COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.getColumn('lastFeedbackDate').numFmt = 'dd-mm-yyyy';
+    sheet.getColumn('createdAt').numFmt = 'dd-mm-yyyy';
+
+    await forEachBatch(query, async (clients) => {
+      const rows = await withFeedback(clients);
+      ensureOpen(res);
+      rows.forEach(row => sheet.addRow(row).commit());
+    });
+
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+  // Add BOM for Excel UTF-8 support
+  await write(res, '\ufeff' + toCsvRow(COLUMNS.map(column => column.header)) + '\n');
+
+  await forEachBatch(query, async (clients) => {
+    const rows = await withFeedback(clients);
+    const lines = rows.map(row => toCsvRow(COLUMNS.map(({ key }) => (
+      key === 'lastFeedbackDate' || key === 'createdAt' ? formatDate(row[key]) : row[key]
+    ))));
+    await write(res, lines.join('\n') + '\n');
+  });
+
+  res.end();
+};
+
+/**
+ * Stream the clients matching the query to the response as CSV or XLSX
+ * @param {Object} res - Express response
+ * @param {Object} query - Client filter, as built for the client listing
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+const streamClientExport = async (res, query, format) => {
+  try {
+    await writeExport(res, query, format);
+  } catch (error) {
+    if (!(error instanceof ExportAbortedError)) throw error;
+  }
+};
+
+module.exports = { streamClientExport };
@@ -0,0 +1,241 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Client = require('../models/Client');
+const Area = require('../models/Area');
+const User = require('../models/User');
+const { createDuplicateMatcher } = require('./clientDedupService');
+const { parseCsv } = require('../utils/csv');
+const { toPoint } = require('../utils/geo');
+const { getAccessibleAreaIds, isAreaAccessible } = require('../utils/scope');
+const { ValidationError } = require('../utils/errors');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.CLIENT_IMPORT_MAX_ROWS) || 5000;
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted spellings of each column header, compared lowercase without spaces/punctuation
+const COLUMN_ALIASES = {
+  name: ['name', 'clientname', 'customername', 'contactname'],
+  company: ['company', 'companyname', 'shop', 'shopname', 'business'],
+  email: ['email', 'emailaddress', 'mail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'contact', 'contactnumber', 'whatsapp'],
+  street: ['street', 'address', 'addressline', 'streetaddress'],
+  city: ['city', 'town'],
+  state: ['state'],
+  zipCode: ['zipcode', 'zip', 'pincode', 'pin', 'postalcode'],
+  area: ['area', 'areaname'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long'],
+  salesman: ['salesman', 'salesmanemail', 'assignedto'],
+  notes: ['notes', 'note', 'remarks', 'comments']
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const mapHeaders = (headerRow) => {
+  const columns = {};
+
+  headerRow.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized));
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    }
+  });
+
+  return columns;
+};
+
+// ExcelJS returns rich text, hyperlinks and formulas as objects
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    return '';
+  }
+  return String(value);
+};
+
+const readRows = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv' || file.mimetype === 'text/csv') {
+    return parseCsv(file.buffer.toString('utf8'));
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      // row.values is 1-based
+      rows[rowNumber - 1] = row.values.slice(1).map(cellText);
+    });
+    return Array.from(rows, row => row || []);
+  }
+
+  throw new ValidationError('Only .csv and .xlsx files are supported', undefined, 'UNSUPPORTED_FILE_TYPE');
+};
+
+/**
+ * Read clients from an uploaded CSV/XLSX file
+ * @param {Object} file - Multer file ({ originalname, mimetype, buffer })
+ * @returns {Promise<Array>} - [{ row, data }] where row is the spreadsheet row number
+ */
+const parseClientFile = async (file) => {
+  const [headerRow = [], ...dataRows] = await readRows(file);
+  const columns = mapHeaders(headerRow);
+
+  const missing = ['name', 'phone', 'area'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new ValidationError(`Missing required columns: ${missing.join(', ')}`, undefined, 'INVALID_IMPORT_FILE');
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`A file may contain at most ${MAX_IMPORT_ROWS} rows`, undefined, 'INVALID_IMPORT_FILE');
+  }
+
+  return dataRows.map((cells, index) => {
+    const data = {};
+    Object.entries(columns).forEach(([field, column]) => {
+      data[field] = String(cells[column] || '').trim();
+    });
+    return { row: index + 2, data };
+  });
+};
+
+const isBlank = (data) => Object.values(data).every(value => !value);
+
+/**
+ * Validate and (unless dryRun) create clients row by row
+ * @param {Array} rows - Output of parseClientFile
+ * @param {Object} options - { user, dryRun }
+ * @returns {Promise<Object>} - { dryRun, summary, rows: [{ row, status, errors, duplicates, clientId, data }] }
+ */
+const importClients = async (rows, { user, dryRun = true }) => {
+  const areas = await Area.find({ isActive: true }).select('name city state');
+  const areasByName = new Map(areas.map(area => [area.name.toLowerCase(), area]));
+  const accessibleAreaIds = await getAccessibleAreaIds(user);
+
+  const salesmanEmails = [...new Set(rows.map(({ data }) => (data.salesman || '').toLowerCase()).filter(Boolean))];
+  const salesmen = await User.find({ email: { $in: salesmanEmails }, role: 'salesman', isActive: true }).select('email');
+  const salesmenByEmail = new Map(salesmen.map(salesman => [salesman.email, salesman]));
+
+  const findDuplicates = await createDuplicateMatcher(rows.map(({ data }) => ({
+    phone: data.phone,
+    area: areasByName.get((data.area || '').toLowerCase())?._id
+  })));
+
+  // Phones already used by an earlier row of the same file
+  const seenPhones = new Map();
+  const report = [];
+
+  for (const { row, data } of rows) {
+    if (isBlank(data)) {
+      report.push({ row, status: 'skipped', errors: ['Empty row'] });
+      continue;
+    }
+
+    const errors = [];
+    const area = areasByName.get((data.area || '').toLowerCase());
+    const normalizedPhone = Client.normalizePhone(data.phone);
+
+    if (!data.name) errors.push('Name is required');
+    if (!data.phone) {
+      errors.push('Phone number is required');
+    } else if (!/^\d{11,15}$/.test(normalizedPhone) || (normalizedPhone.startsWith('91') && normalizedPhone.length !== 12)) {
+      errors.push('Invalid phone number');
+    }
+    if (data.email && !EMAIL_PATTERN.test(data.email)) errors.push('Invalid email');
+    if (!data.area) {
+      errors.push('Area is required');
+    } else if (!area) {
+      errors.push(`Area "${data.area}" not found`);
+    } else if (!isAreaAccessible(accessibleAreaIds, area._id)) {
+      errors.push(`Area "${data.area}" is not assigned to you`);
+    }
+
+    const salesman = data.salesman ? salesmenByEmail.get(data.salesman.toLowerCase()) : null;
+    if (data.salesman && !salesman) errors.push(`Salesman "${data.salesman}" not found`);
+
+    const location = data.latitude || data.longitude ? toPoint(data.latitude, data.longitude) : null;
+    if ((data.latitude || data.longitude) && !location) errors.push('Invalid latitude/longitude');
+
+    if (errors.length > 0) {
+      report.push({ row, status: 'invalid', errors, data });
+      continue;
+    }
+
+    if (seenPhones.has(normalizedPhone)) {
+      report.push({
+        row,
+        status: 'duplicate',
+        errors: [`Same phone number as row ${seenPhones.get(normalizedPhone)}`],
+        data
+      });
+      continue;
+    }
+    seenPhones.set(normalizedPhone, row);
+
+    const duplicates = findDuplicates({ ...data, area: area._id });
+    if (duplicates.length > 0) {
+      report.push({
+        row,
+        status: 'duplicate',
+        errors: ['A similar client already exists'],
+        duplicates: duplicates.map(({ client, matchedOn }) => ({
+          _id: client._id,
+          name: client.name,
+          company: client.company,
+          phone: client.phone,
+          matchedOn
+        })),
+        data
+      });
+      continue;
+    }
+
+    if (dryRun) {
+      report.push({ row, status: 'created', data });
+      continue;
+    }
+
+    const client = new Client({
+      name: data.name,
+      company: data.company || undefined,
+      email: data.email || undefined,
+      phone: data.phone,
+      address: {
+        street: data.street || undefined,
+        city: data.city || area.city,
+        state: data.state || area.state,
+        zipCode: data.zipCode || undefined
+      },
+      location: location || undefined,
+      area: area._id,
+      salesman: salesman ? salesman._id : undefined,
+      notes: data.notes || undefined
+    });
+    await client.save();
+
+    report.push({ row, status: 'created', clientId: client._id, data });
+  }
+
+  const summary = { total: report.length, created: 0, skipped: 0, duplicate: 0, invalid: 0 };
+  report.forEach(({ status }) => { summary[status] += 1; });
+
+  return { dryRun, summary, rows: report };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  MAX_IMPORT_FILE_SIZE,
+  parseClientFile,
+  importClients
+};
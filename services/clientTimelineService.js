@@ -0,0 +1,146 @@
+const ClientFeedback = require('../models/ClientFeedback');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+
+// Every page merges the newest page * limit events of each source, so pages stop here
+const MAX_TIMELINE_PAGE = 50;
+
+// Audit actions on a client and the timeline event they appear as
+const AUDIT_EVENT_TYPES = {
+  'client.create': 'client_created',
+  'client.update': 'client_updated',
+  'client.update_status': 'status_changed',
+  'client.toggle_status': 'active_status_changed',
+  'client.assign_salesman': 'salesman_assigned',
+  'client.delete': 'client_deactivated',
+  'client.merge': 'client_merged',
+  'client.merged_into': 'merged_into_other_client'
+};
+
+const userActor = (user, fallbackName) => {
+  if (!user) return fallbackName ? { name: fallbackName } : null;
+  return {
+    _id: user._id,
+    name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || fallbackName,
+    role: user.role
+  };
+};
+
+// Each source returns its newest `take` events plus its total count
+const SOURCES = [
+  {
+    count: (clientId) => ClientFeedback.countDocuments({ client: clientId, isActive: true }),
+    fetch: async (clientId, take) => {
+      const feedback = await ClientFeedback.find({ client: clientId, isActive: true })
+        .populate('createdBy', 'firstName lastName role')
+        .populate('products.product', 'productName')
+        .sort({ createdAt: -1 })
+        .limit(take);
+
+      return feedback.map(item => ({
+        type: 'feedback_created',
+        occurredAt: item.createdAt,
+        actor: userActor(item.createdBy),
+        payload: {
+          feedbackId: item._id,
+          date: item.date,
+          lead: item.lead,
+          products: item.products.map(p => ({
+            product: p.product?.productName || p.product,
+            quantity: p.quantity
+          })),
+          notes: item.notes,
+          followUpDate: item.followUpDate,
+          followUpStatus: item.followUpStatus,
+          hasAudio: Boolean(item.audio?.key)
+        }
+      }));
+    }
+  },
+  {
+    count: (clientId) => Notification.countDocuments({ client: clientId }),
+    fetch: async (clientId, take) => {
+      const notifications = await Notification.find({ client: clientId })
+        .populate('actor', 'firstName lastName role')
+        .populate('salesman', 'firstName lastName role')
+        .sort({ createdAt: -1 })
+        .limit(take);
+
+      return notifications.map(item => ({
+        type: item.type,
+        occurredAt: item.createdAt,
+        actor: userActor(item.actor || item.salesman, item.salesmanName),
+        payload: {
+          title: item.title,
+          message: item.message,
+          status: item.status,
+          deliveryMethod: item.deliveryMethod,
+          phone: item.clientPhone
+        }
+      }));
+    }
+  },
+  {
+    count: (clientId) => AuditLog.countDocuments({ entityType: 'Client', entityId: clientId }),
+    fetch: async (clientId, take) => {
+      const logs = await AuditLog.find({ entityType: 'Client', entityId: clientId })
+        .populate('actor', 'firstName lastName role')
+        .sort({ createdAt: -1 })
+        .limit(take);
+
+      return logs.map(log => ({
+        type: AUDIT_EVENT_TYPES[log.action] || log.action,
+        occurredAt: log.createdAt,
+        actor: userActor(log.actor, log.actorName),
+        payload: {
+          action: log.action,
+          changedFields: log.changedFields,
+          before: log.before,
+          after: log.after
+        }
+      }));
+    }
+  }
+];
+
+/**
+ * One chronological feed (newest first) of everything that happened to a client
+ * @param {Object} client - Client document
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { events, total, totalPages, currentPage }
+ */
+const getClientTimeline = async (client, { page = 1, limit = 20 }) => {
+  // The newest page * limit events overall are among the newest page * limit of each source
+  const take = Math.min(page, MAX_TIMELINE_PAGE) * limit;
+
+  const [counts, results, hasCreateLog] = await Promise.all([
+    Promise.all(SOURCES.map(source => source.count(client._id))),
+    Promise.all(SOURCES.map(source => source.fetch(client._id, take))),
+    AuditLog.exists({ entityType: 'Client', entityId: client._id, action: 'client.create' })
+  ]);
+
+  const events = results.flat();
+  let total = counts.reduce((sum, count) => sum + count, 0);
+
+  // Clients created before the audit log existed still get a starting point, always the oldest event
+  if (!hasCreateLog) {
+    total += 1;
+    events.push({
+      type: 'client_created',
+      occurredAt: client.createdAt,
+      actor: null,
+      payload: { name: client.name, phone: client.phone }
+    });
+  }
+
+  events.sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+
+  return {
+    events: events.slice((page - 1) * limit, take),
+    total,
+    totalPages: Math.min(Math.ceil(total / limit), MAX_TIMELINE_PAGE),
+    currentPage: page
+  };
+};
+
+module.exports = { MAX_TIMELINE_PAGE, getClientTimeline };
@@ -0,0 +1,136 @@
+const ClientFeedback = require('../models/ClientFeedback');
+const { notify } = require('./notificationService');
+const { startOfDayIST, endOfDayIST, toISTDateString, DAY_MS } = require('../utils/date');
+
+// Orange leads get a follow-up this many days out when none was set (0 turns it off)
+const ORANGE_FOLLOW_UP_DAYS = parseInt(process.env.FOLLOW_UP_ORANGE_DEFAULT_DAYS ?? 3);
+const REMINDER_BATCH_SIZE = 200;
+
+/**
+ * Follow-up date for a new feedback
+ * @param {Object} feedback - { lead, date, followUpDate }
+ * @returns {Date|null} - The requested date, the Orange lead default or null
+ */
+const getFollowUpDate = ({ lead, date, followUpDate }) => {
+  if (followUpDate) return new Date(followUpDate);
+  if (lead === 'Orange' && ORANGE_FOLLOW_UP_DAYS > 0) {
+    return new Date(startOfDayIST(date || new Date()).getTime() + ORANGE_FOLLOW_UP_DAYS * DAY_MS);
+  }
+  return null;
+};
+
+// Fields to store when a follow-up is (re)scheduled, clears earlier reminders
+const scheduleFollowUp = (followUpDate) => {
+  if (!followUpDate) {
+    return { followUpDate: null, followUpStatus: null };
+  }
+  return {
+    followUpDate,
+    followUpStatus: 'pending',
+    followUpDueNotifiedAt: null,
+    followUpOverdueNotifiedAt: null
+  };
+};
+
+/**
+ * A new visit to the client takes care of its open follow-ups
+ * @param {Object} feedback - The newly created ClientFeedback
+ * @returns {Promise<number>} - Number of follow-ups resolved
+ */
+const resolveFollowUps = async (feedback) => {
+  const result = await ClientFeedback.updateMany(
+    {
+      _id: { $ne: feedback._id },
+      client: feedback.client,
+      followUpStatus: 'pending',
+      createdAt: { $lt: feedback.createdAt || new Date() }
+    },
+    { followUpStatus: 'done', followUpResolvedBy: feedback._id }
+  );
+
+  return result.modifiedCount;
+};
+
+const notifyFollowUp = async (feedback, type) => {
+  const client = feedback.client;
+  const salesman = feedback.createdBy;
+
+  await notify(type, {
+    recipients: salesman,
+    entity: { type: 'ClientFeedback', id: feedback._id },
+    data: {
+      clientName: client.name,
+      clientPhone: client.phone,
+      dueDate: toISTDateString(feedback.followUpDate),
+      note: feedback.followUpNote,
+      lead: feedback.lead
+    },
+    fields: { client: client._id, feedback: feedback._id }
+  });
+};
+
+// Notify every pending follow-up matching the query once, marking it with notifiedField
+const notifyBatch = async (query, type, notifiedField, now) => {
+  let sent = 0;
+
+  for (;;) {
+    const batch = await ClientFeedback.find({ ...query, [notifiedField]: null })
+      .populate('client', 'name phone isActive')
+      .populate('createdBy', 'isActive')
+      .sort({ followUpDate: 1 })
+      .limit(REMINDER_BATCH_SIZE);
+
+    if (batch.length === 0) break;
+
+    for (const feedback of batch) {
+      // Claim the reminder first, so a run on another instance does not send it too
+      const claim = await ClientFeedback.updateOne(
+        { _id: feedback._id, [notifiedField]: null },
+        { [notifiedField]: now }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      // Nobody to remind, or nothing to follow up on any more
+      if (feedback.client?.isActive && feedback.createdBy?.isActive) {
+        await notifyFollowUp(feedback, type);
+        sent += 1;
+      }
+    }
+
+    if (batch.length < REMINDER_BATCH_SIZE) break;
+  }
+
+  return sent;
+};
+
+/**
+ * Create the reminders for follow-ups due today and those that became overdue
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - { due, overdue } notifications created
+ */
+const sendFollowUpReminders = async (now = new Date()) => {
+  const startOfToday = startOfDayIST(now);
+  const base = { followUpStatus: 'pending', isActive: true };
+
+  const due = await notifyBatch(
+    { ...base, followUpDate: { $gte: startOfToday, $lte: endOfDayIST(now) } },
+    'follow_up_due',
+    'followUpDueNotifiedAt',
+    now
+  );
+  const overdue = await notifyBatch(
+    { ...base, followUpDate: { $lt: startOfToday } },
+    'follow_up_overdue',
+    'followUpOverdueNotifiedAt',
+    now
+  );
+
+  return { due, overdue };
+};
+
+module.exports = {
+  getFollowUpDate,
+  scheduleFollowUp,
+  resolveFollowUps,
+  sendFollowUpReminders
+};
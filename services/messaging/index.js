@@ -0,0 +1,101 @@
+const whatsappCloudProvider = require('./whatsappCloudProvider');
+const smsProvider = require('./smsProvider');
+const mockProvider = require('./mockProvider');
+const { formatPhoneNumber } = require('../../utils/phone');
+
+// A provider sends to an E.164 number (without +):
+//   { name, channel, isConfigured(), sendOTP(to, otp), sendMessage(to, message) }
+//     -> Promise<{ messageSid }>, throwing when the message was not accepted
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+registerProvider(whatsappCloudProvider);
+registerProvider(smsProvider);
+registerProvider(mockProvider);
+
+// MESSAGING_PROVIDERS lists the providers to try, in order, e.g. 'whatsapp,sms'
+const getProviders = () => {
+  const names = (process.env.MESSAGING_PROVIDERS || 'whatsapp,sms')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return names.reduce((list, name) => {
+    const provider = providers.get(name);
+    if (provider) {
+      list.push(provider);
+    } else {
+      console.error(`Unknown messaging provider "${name}", skipping it`);
+    }
+    return list;
+  }, []);
+};
+
+const getProvider = (name) => providers.get(name) || null;
+
+// Try each configured provider in turn until one accepts the message.
+// Provider responses stay in the server log: attempts only carry the provider name
+// and a generic reason, as results end up in API responses
+const deliver = async (to, send) => {
+  const phoneNumber = formatPhoneNumber(to);
+  const attempts = [];
+
+  for (const provider of getProviders()) {
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: provider.name, reason: 'not_configured' });
+      continue;
+    }
+
+    try {
+      const { messageSid } = await send(provider, phoneNumber);
+      return {
+        success: true,
+        provider: provider.name,
+        channel: provider.channel,
+        messageSid,
+        status: 'sent',
+        phoneNumber,
+        attempts
+      };
+    } catch (error) {
+      console.error(`Messaging provider ${provider.name} error:`, error.response?.status, error.response?.data || error.message);
+      attempts.push({ provider: provider.name, reason: 'rejected' });
+    }
+  }
+
+  return {
+    success: false,
+    error: attempts.length > 0
+      ? `Message could not be delivered (${attempts.map(({ provider, reason }) => `${provider}: ${reason}`).join(', ')})`
+      : 'No messaging provider configured',
+    phoneNumber,
+    attempts
+  };
+};
+
+/**
+ * Send an OTP over the first provider that delivers it
+ * @param {string} to - Recipient phone number
+ * @param {string} otp - OTP code
+ * @returns {Promise<Object>} - { success, provider, channel, messageSid, attempts } or { success: false, error, attempts }
+ */
+const sendOTP = (to, otp) => deliver(to, (provider, phoneNumber) => provider.sendOTP(phoneNumber, otp));
+
+/**
+ * Send a text message over the first provider that delivers it
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message text
+ * @returns {Promise<Object>} - Same shape as sendOTP
+ */
+const sendMessage = (to, message) => deliver(to, (provider, phoneNumber) => provider.sendMessage(phoneNumber, message));
+
+module.exports = {
+  registerProvider,
+  getProviders,
+  getProvider,
+  sendOTP,
+  sendMessage
+};
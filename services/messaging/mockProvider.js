@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const OUTBOX_LIMIT = 100;
+
+// Recent messages, newest last, for local development and tests
+const outbox = [];
+
+// Delivers nothing: keeps messages in memory and, with MESSAGING_OUTBOX_FILE set,
+// appends them to that file as JSON lines
+const mockProvider = {
+  name: 'mock',
+  channel: 'Mock',
+
+  isConfigured() {
+    return true;
+  },
+
+  async sendMessage(to, message, meta = {}) {
+    const entry = {
+      messageSid: `mock-${crypto.randomBytes(8).toString('hex')}`,
+      sentAt: new Date().toISOString(),
+      to,
+      message,
+      ...meta
+    };
+
+    outbox.push(entry);
+    if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+
+    const file = process.env.MESSAGING_OUTBOX_FILE;
+    if (file) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+    }
+
+    return { messageSid: entry.messageSid };
+  },
+
+  sendOTP(to, otp) {
+    return this.sendMessage(to, `Your verification code is ${otp}`, { otp });
+  },
+
+  getOutbox() {
+    return [...outbox];
+  },
+
+  clearOutbox() {
+    outbox.length = 0;
+  }
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,39 @@
+const axios = require('axios');
+
+const config = () => ({
+  url: process.env.SMS_GATEWAY_URL,
+  apiKey: process.env.SMS_GATEWAY_API_KEY,
+  senderId: process.env.SMS_SENDER_ID,
+  otpTemplate: process.env.SMS_OTP_TEMPLATE || '{otp} is your verification code. It expires in 5 minutes. Do not share it with anyone.'
+});
+
+// Generic HTTP SMS gateway: POST { to, from, message } with a bearer API key,
+// answering with the gateway's message id as `id` or `messageId`
+const smsProvider = {
+  name: 'sms',
+  channel: 'SMS',
+
+  isConfigured() {
+    const { url, apiKey } = config();
+    return Boolean(url && apiKey);
+  },
+
+  async sendMessage(to, message) {
+    const { url, apiKey, senderId } = config();
+
+    const response = await axios.post(url, { to, from: senderId, message }, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    return { messageSid: response.data?.messageId || response.data?.id };
+  },
+
+  sendOTP(to, otp) {
+    return this.sendMessage(to, config().otpTemplate.replace(/\{otp\}/g, otp));
+  }
+};
+
+module.exports = smsProvider;
@@ -0,0 +1,80 @@
+const axios = require('axios');
+
+const config = () => ({
+  apiUrl: process.env.WHATSAPP_URL || 'https://graph.facebook.com/v22.0',
+  token: process.env.WHATSAPP_TOKEN,
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+  templateName: process.env.WHATSAPP_TEMPLATE_NAME || 'auth_template',
+  templateLanguage: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en_US'
+});
+
+const post = async (payload) => {
+  const { apiUrl, token, phoneNumberId } = config();
+
+  const response = await axios.post(`${apiUrl}/${phoneNumberId}/messages`, payload, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  return { messageSid: response.data.messages[0]?.id };
+};
+
+// Meta WhatsApp Cloud API: OTPs go out as the approved authentication template
+const whatsappCloudProvider = {
+  name: 'whatsapp',
+  channel: 'WhatsApp',
+
+  isConfigured() {
+    const { token, phoneNumberId } = config();
+    return Boolean(token && phoneNumberId);
+  },
+
+  sendOTP(to, otp) {
+    const { templateName, templateLanguage } = config();
+
+    return post({
+      messaging_product: 'whatsapp',
+      to,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: { code: templateLanguage },
+        components: [
+          {
+            type: 'body',
+            parameters: [{ type: 'text', text: otp }]
+          },
+          {
+            type: 'button',
+            sub_type: 'url',
+            index: '0',
+            parameters: [{ type: 'text', text: otp }]
+          }
+        ]
+      }
+    });
+  },
+
+  sendMessage(to, message) {
+    return post({
+      messaging_product: 'whatsapp',
+      to,
+      type: 'text',
+      text: { body: message },
+    });
+  },
+
+  async getMessageStatus(messageId) {
+    const { apiUrl, token } = config();
+
+    const response = await axios.get(`${apiUrl}/${messageId}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    return { status: response.data.status, data: response.data };
+  }
+};
+
+module.exports = whatsappCloudProvider;
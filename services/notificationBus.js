@@ -0,0 +1,32 @@
+const { EventEmitter } = require('events');
+
+// In-process fan-out of notification changes to open SSE connections.
+// Each API instance only sees the notifications saved by itself.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const EVENTS = {
+  CREATED: 'notification:created',
+  // Unread counts changed; carries the recipient id, or null when anyone may be affected
+  UNREAD_CHANGED: 'notification:unread_changed'
+};
+
+const publishCreated = (notification) => {
+  bus.emit(EVENTS.CREATED, notification);
+};
+
+const publishUnreadChanged = (recipientId = null) => {
+  bus.emit(EVENTS.UNREAD_CHANGED, recipientId);
+};
+
+const subscribe = (event, listener) => {
+  bus.on(event, listener);
+  return () => bus.off(event, listener);
+};
+
+module.exports = {
+  EVENTS,
+  publishCreated,
+  publishUnreadChanged,
+  subscribe
+};
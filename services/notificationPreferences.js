@@ -0,0 +1,82 @@
+const { isInAppRequired } = require('../config/notificationTemplates');
+const { IST_OFFSET_MS } = require('../utils/date');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether the moment falls inside the user's quiet hours (IST)
+ * @param {Object} quietHours - { enabled, start, end } as 'HH:mm'
+ * @param {Date} now - Moment to check
+ * @returns {boolean}
+ */
+const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || !TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+    return false;
+  }
+
+  const istNow = new Date(now.getTime() + IST_OFFSET_MS);
+  const minute = istNow.getUTCHours() * 60 + istNow.getUTCMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start === end) return false;
+  // Windows like 21:00 - 08:00 wrap past midnight
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+};
+
+/**
+ * Channels a notification of the given type reaches the user on
+ * @param {Object} user - Recipient with notificationPreferences and phone
+ * @param {string} type - Notification type
+ * @param {Date} now - Moment of sending
+ * @returns {Object} - { inApp, push, whatsapp }
+ */
+const resolveChannels = (user, type, now = new Date()) => {
+  const preferences = user?.notificationPreferences || {};
+  const channels = preferences.channels || {};
+  const wanted = !(preferences.disabledTypes || []).includes(type);
+  // Quiet hours keep the in-app entry but hold back anything that buzzes
+  const canInterrupt = wanted && !isQuietTime(preferences.quietHours, now);
+
+  return {
+    inApp: isInAppRequired(type) || (wanted && channels.inApp !== false),
+    push: canInterrupt && channels.push !== false,
+    whatsapp: canInterrupt && channels.whatsapp === true && Boolean(user?.phone)
+  };
+};
+
+// Dot-path $set for the preference fields present in a (partial) update
+const toPreferenceUpdate = (input = {}) => {
+  const update = {};
+
+  if (input.disabledTypes !== undefined) {
+    update['notificationPreferences.disabledTypes'] = [...new Set(input.disabledTypes)];
+  }
+  ['inApp', 'push', 'whatsapp'].forEach(channel => {
+    if (input.channels?.[channel] !== undefined) {
+      update[`notificationPreferences.channels.${channel}`] = input.channels[channel] === true || input.channels[channel] === 'true';
+    }
+  });
+  if (input.quietHours?.enabled !== undefined) {
+    update['notificationPreferences.quietHours.enabled'] = input.quietHours.enabled === true || input.quietHours.enabled === 'true';
+  }
+  ['start', 'end'].forEach(field => {
+    if (input.quietHours?.[field] !== undefined) {
+      update[`notificationPreferences.quietHours.${field}`] = input.quietHours[field];
+    }
+  });
+
+  return update;
+};
+
+module.exports = {
+  TIME_PATTERN,
+  isQuietTime,
+  resolveChannels,
+  toPreferenceUpdate
+};
@@ -0,0 +1,117 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const whatsappService = require('./whatsappService');
+const { IN_APP_REQUIRED_TYPES, renderNotification } = require('../config/notificationTemplates');
+const { resolveChannels } = require('./notificationPreferences');
+const { pushToUsers } = require('./push');
+
+const toId = (value) => value?._id || value;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A failed push or WhatsApp message never fails the action that caused the notification
+const deliver = async (channel, type, send) => {
+  try {
+    await send();
+  } catch (error) {
+    console.error(`Notification ${channel} error (${type}):`, error);
+  }
+};
+
+/**
+ * Notify each recipient of the given type on the channels their preferences allow
+ * (in-app entry, push to their devices, WhatsApp)
+ * @param {string} type - Notification type (see config/notificationTemplates.js)
+ * @param {Object} options
+ * @param {Array|Object|string} options.recipients - Users (or ids) to notify
+ * @param {Object|string} [options.actor] - User whose action caused the notification
+ * @param {Object} [options.entity] - { type, id } of the record it is about
+ * @param {Object} [options.data] - Template variables, stored with the notification
+ * @param {Object} [options.fields] - Extra Notification fields (client, otpId, status, ...)
+ * @returns {Promise<Array>} - Saved in-app notifications
+ */
+const notify = async (type, { recipients, actor = null, entity = null, data = {}, fields = {} }) => {
+  const recipientIds = [...new Map(
+    [].concat(recipients || []).filter(Boolean).map(recipient => [toId(recipient).toString(), toId(recipient)])
+  ).values()];
+
+  if (recipientIds.length === 0) return [];
+
+  const { title, message } = renderNotification(type, data);
+  const now = new Date();
+
+  // Each recipient's preferences decide which channels the notification goes out on
+  const users = await User.find({ _id: { $in: recipientIds } }).select('phone notificationPreferences');
+  const deliveries = users.map(user => ({ user, channels: resolveChannels(user, type, now) }));
+
+  const inAppRecipients = deliveries.filter(({ channels }) => channels.inApp).map(({ user }) => user._id);
+  const notifications = await Notification.insertMany(inAppRecipients.map(recipient => ({
+    type,
+    recipient,
+    actor: toId(actor),
+    title,
+    message,
+    entityType: entity?.type,
+    entityId: toId(entity?.id),
+    data,
+    ...fields
+  })));
+  const notificationsByRecipient = new Map(notifications.map(item => [item.recipient.toString(), item]));
+
+  await Promise.all(deliveries.map(async ({ user, channels }) => {
+    const notification = notificationsByRecipient.get(user._id.toString());
+
+    if (channels.push) {
+      await deliver('push', type, () => pushToUsers([user._id], {
+        title,
+        body: message,
+        data: {
+          notificationId: notification?._id.toString(),
+          type,
+          entityType: entity?.type,
+          entityId: toId(entity?.id)?.toString()
+        }
+      }));
+    }
+
+    if (channels.whatsapp) {
+      await deliver('whatsapp', type, async () => {
+        const result = await whatsappService.sendCustomMessage(user.phone, title ? `${title}\n${message}` : message);
+        if (!result.success) throw new Error(result.error);
+      });
+    }
+  }));
+
+  return notifications;
+};
+
+/**
+ * Delete read notifications older than the retention period (NOTIFICATION_RETENTION_DAYS,
+ * default 90, 0 keeps them forever). Unread notifications are never purged, and types
+ * kept on record (inAppRequired) are archived instead of deleted.
+ * @param {Date} now - Moment of the run
+ * @returns {Promise<Object>} - { deleted, archived } counts
+ */
+const purgeExpiredNotifications = async (now = new Date()) => {
+  const retentionDays = parseInt(process.env.NOTIFICATION_RETENTION_DAYS ?? 90);
+  if (!(retentionDays > 0)) return { deleted: 0, archived: 0 };
+
+  const expired = {
+    isRead: true,
+    createdAt: { $lt: new Date(now.getTime() - retentionDays * DAY_MS) }
+  };
+
+  const [deleted, archived] = await Promise.all([
+    Notification.deleteMany({ ...expired, type: { $nin: IN_APP_REQUIRED_TYPES } }),
+    Notification.updateMany(
+      { ...expired, type: { $in: IN_APP_REQUIRED_TYPES }, isArchived: { $ne: true } },
+      { isArchived: true, archivedAt: now }
+    )
+  ]);
+  return { deleted: deleted.deletedCount, archived: archived.modifiedCount };
+};
+
+module.exports = {
+  notify,
+  purgeExpiredNotifications
+};
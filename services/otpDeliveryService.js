@@ -0,0 +1,168 @@
+const Otp = require('../models/Otp');
+const messaging = require('./messaging');
+const { notify } = require('./notificationService');
+
+// What happens when no messaging provider delivered an OTP (every provider in
+// MESSAGING_PROVIDERS has already been tried by then):
+//   channel - give up, the salesman asks for a new OTP later
+//   queue   - keep the OTP and retry delivery until it expires
+//   manual  - give up, the salesman may ask an admin to verify the client without an OTP
+const FALLBACK_POLICIES = ['channel', 'queue', 'manual'];
+
+const RETRY_DELAY_SECONDS = parseInt(process.env.OTP_RETRY_DELAY_SECONDS) || 30;
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.OTP_MAX_DELIVERY_ATTEMPTS) || 5;
+const RETRY_BATCH_SIZE = 50;
+// A manual verification must be asked for this soon after the failed OTP
+const OVERRIDE_REQUEST_WINDOW_MINUTES = parseInt(process.env.OTP_OVERRIDE_REQUEST_WINDOW_MINUTES) || 15;
+// How long a retry run holds a queued OTP while sending it
+const RETRY_LEASE_SECONDS = 60;
+
+const getFallbackPolicy = () => {
+  const policy = process.env.OTP_FALLBACK_POLICY || 'channel';
+  return FALLBACK_POLICIES.includes(policy) ? policy : 'channel';
+};
+
+// The code itself never leaves the server, only where and whether it was delivered
+const getDeliveryMethod = (otp) => {
+  if (otp.deliveryStatus === 'queued') return 'Queued';
+  if (otp.deliveryStatus === 'failed') return 'Failed';
+  return otp.deliveryChannel || 'WhatsApp';
+};
+
+// OTP notifications keep the client and salesman snapshot the admin panel lists them by
+const otpNotificationFields = (client, salesman, otp) => ({
+  client: client._id,
+  clientName: client.name,
+  clientPhone: client.phone,
+  salesman: salesman._id,
+  salesmanName: `${salesman.firstName} ${salesman.lastName}`,
+  status: otp.deliveryStatus === 'failed' || otp.deliveryStatus === 'queued' ? 'failed' : 'success',
+  otpId: otp._id,
+  deliveryMethod: getDeliveryMethod(otp)
+});
+
+/**
+ * Store the outcome of a delivery attempt, queueing or retiring the OTP when it
+ * failed according to OTP_FALLBACK_POLICY
+ * @param {Object} otp - Otp document
+ * @param {Object} delivery - Result of messaging.sendOTP
+ * @param {Date} now - Moment of the attempt
+ * @returns {Promise<string>} - New deliveryStatus: 'sent', 'queued' or 'failed'
+ */
+const recordDelivery = async (otp, delivery, now = new Date()) => {
+  otp.deliveryAttempts += 1;
+
+  if (delivery.success) {
+    otp.deliveryStatus = 'sent';
+    otp.deliveryChannel = delivery.channel;
+    otp.lastDeliveryError = undefined;
+    otp.nextDeliveryAt = undefined;
+  } else {
+    otp.lastDeliveryError = delivery.error;
+
+    const nextDeliveryAt = new Date(now.getTime() + RETRY_DELAY_SECONDS * 1000);
+    const canRetry = getFallbackPolicy() === 'queue' &&
+      otp.deliveryAttempts < MAX_DELIVERY_ATTEMPTS &&
+      nextDeliveryAt < otp.expiresAt;
+
+    if (canRetry) {
+      otp.deliveryStatus = 'queued';
+      otp.nextDeliveryAt = nextDeliveryAt;
+    } else {
+      // An undelivered code must not stay usable
+      otp.deliveryStatus = 'failed';
+      otp.nextDeliveryAt = undefined;
+      otp.isUsed = true;
+
+      // Keep the record (not the code's validity) until a manual verification may no longer refer to it
+      if (getFallbackPolicy() === 'manual') {
+        const keepUntil = new Date(now.getTime() + OVERRIDE_REQUEST_WINDOW_MINUTES * 60 * 1000);
+        if (keepUntil > otp.expiresAt) otp.expiresAt = keepUntil;
+      }
+    }
+  }
+
+  await otp.save();
+  return otp.deliveryStatus;
+};
+
+/**
+ * Send an OTP and record the outcome
+ * @param {Object} otp - Unsent Otp document
+ * @returns {Promise<Object>} - { status, delivery }
+ */
+const deliverOtp = async (otp) => {
+  const delivery = await messaging.sendOTP(otp.phone, otp.otp);
+  const status = await recordDelivery(otp, delivery);
+
+  return { status, delivery };
+};
+
+// Tell the salesman who asked for a queued client OTP how its retry ended
+const notifyRetryOutcome = async (otp) => {
+  if (!otp.requestedBy || !otp.client) return;
+
+  const type = otp.deliveryStatus === 'sent' ? 'otp_sent' : 'otp_delivery_failed';
+  await notify(type, {
+    recipients: otp.requestedBy,
+    entity: { type: 'Client', id: otp.client._id },
+    data: { clientName: otp.client.name, clientPhone: otp.client.phone },
+    fields: otpNotificationFields(otp.client, otp.requestedBy, otp)
+  });
+};
+
+/**
+ * Retry delivery of queued OTPs that are due
+ * @param {Date} now - Moment of the run
+ * @returns {Promise<Object>} - { sent, failed } counts
+ */
+const retryQueuedOtps = async (now = new Date()) => {
+  const counts = { sent: 0, failed: 0 };
+  const due = { deliveryStatus: 'queued', isUsed: false, nextDeliveryAt: { $lte: now } };
+
+  const candidates = await Otp.find(due)
+    .select('_id')
+    .sort({ nextDeliveryAt: 1 })
+    .limit(RETRY_BATCH_SIZE);
+
+  for (const { _id } of candidates) {
+    // Lease the OTP before sending: another instance skips it, and one the salesman
+    // replaced in the meantime (isUsed) is no longer picked up
+    const otp = await Otp.findOneAndUpdate(
+      { ...due, _id },
+      { $set: { nextDeliveryAt: new Date(now.getTime() + RETRY_LEASE_SECONDS * 1000) } },
+      { new: true }
+    )
+      .populate('client', 'name phone')
+      .populate('requestedBy', 'firstName lastName');
+
+    if (!otp) continue;
+
+    // Expired while waiting: nothing left to deliver
+    if (otp.expiresAt <= now) {
+      otp.deliveryStatus = 'failed';
+      otp.isUsed = true;
+      await otp.save();
+    } else {
+      await deliverOtp(otp);
+    }
+
+    if (otp.deliveryStatus === 'queued') continue;
+
+    counts[otp.deliveryStatus === 'sent' ? 'sent' : 'failed'] += 1;
+    await notifyRetryOutcome(otp);
+  }
+
+  return counts;
+};
+
+module.exports = {
+  FALLBACK_POLICIES,
+  OVERRIDE_REQUEST_WINDOW_MINUTES,
+  getFallbackPolicy,
+  getDeliveryMethod,
+  otpNotificationFields,
+  recordDelivery,
+  deliverOtp,
+  retryQueuedOtps
+};
@@ -0,0 +1,13 @@
+// Logs pushes instead of delivering them, for local development
+const consoleTransport = {
+  name: 'console',
+
+  async send({ devices, title, body, data }) {
+    devices.forEach(device => {
+      console.log(`[push:${device.platform}] ${device.token.slice(0, 12)}… ${title ? `${title}: ` : ''}${body}`, data);
+    });
+    return { sent: devices.length, invalidTokens: [] };
+  }
+};
+
+module.exports = consoleTransport;
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_FILE = process.env.PUSH_OUTBOX_FILE || path.join('logs', 'push-outbox.log');
+
+// Appends every push as a JSON line, so tests and local tools can read what was sent
+const fileTransport = {
+  name: 'file',
+
+  async send({ devices, title, body, data }) {
+    await fs.promises.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+
+    const sentAt = new Date().toISOString();
+    const lines = devices.map(device => JSON.stringify({
+      sentAt,
+      user: device.user,
+      platform: device.platform,
+      token: device.token,
+      title,
+      body,
+      data
+    }));
+
+    await fs.promises.appendFile(OUTBOX_FILE, lines.join('\n') + '\n');
+    return { sent: devices.length, invalidTokens: [] };
+  }
+};
+
+module.exports = fileTransport;
@@ -0,0 +1,102 @@
+const DeviceToken = require('../../models/DeviceToken');
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+// A transport delivers one message to a list of devices:
+//   send({ devices: [{ user, platform, token }], title, body, data })
+//     -> Promise<{ sent, invalidTokens: [token] }>
+// invalidTokens are tokens the provider rejected for good (app uninstalled, token rotated).
+const transports = new Map();
+
+const registerTransport = (transport) => {
+  transports.set(transport.name, transport);
+};
+
+registerTransport(consoleTransport);
+registerTransport(fileTransport);
+
+// PUSH_TRANSPORT picks the transport; pushes stay off ('none') unless one is set
+const getTransport = () => {
+  const name = process.env.PUSH_TRANSPORT || 'none';
+  if (name === 'none') return null;
+
+  const transport = transports.get(name);
+  if (!transport) {
+    console.error(`Unknown push transport "${name}", pushes are disabled`);
+  }
+  return transport || null;
+};
+
+/**
+ * Register (or move) a device token for a user
+ * @param {Object} user - Owner of the device
+ * @param {Object} device - { token, platform, appVersion }
+ * @param {Object} [session] - Login session the device is signed in with
+ * @returns {Promise<Object>} - DeviceToken document
+ */
+const registerDevice = (user, { token, platform, appVersion }, session = null) => {
+  // A token belongs to one app install, which may have switched user since.
+  // $eq keeps a non-string token from acting as a query operator
+  return DeviceToken.findOneAndUpdate(
+    { token: { $eq: token } },
+    { user: user._id, platform, appVersion, session: session?._id, lastSeenAt: new Date() },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Remove device tokens of a user, by token and/or session (all of them when neither is given)
+ * @returns {Promise<number>} - Number of tokens removed
+ */
+const unregisterDevices = async (user, { token, session } = {}) => {
+  const query = { user: user._id };
+  if (token) query.token = { $eq: token };
+  if (session) query.session = session._id;
+
+  const result = await DeviceToken.deleteMany(query);
+  return result.deletedCount;
+};
+
+/**
+ * Push a message to every signed-in device of the users
+ * @param {Array} userIds - Recipients
+ * @param {Object} message - { title, body, data }
+ * @returns {Promise<number>} - Devices the message was handed to
+ */
+const pushToUsers = async (userIds, { title, body, data = {} }) => {
+  const transport = getTransport();
+  if (!transport || userIds.length === 0) return 0;
+
+  const devices = await DeviceToken.find({ user: { $in: userIds } })
+    .populate('session', 'revokedAt expiresAt');
+
+  // Devices whose login session ended are signed out, forget them
+  const signedOut = devices.filter(device => !device.session || !device.session.isActive());
+  if (signedOut.length > 0) {
+    await DeviceToken.deleteMany({ _id: { $in: signedOut.map(device => device._id) } });
+  }
+
+  const active = devices.filter(device => !signedOut.includes(device));
+  if (active.length === 0) return 0;
+
+  const { sent, invalidTokens = [] } = await transport.send({
+    devices: active.map(device => ({ user: device.user, platform: device.platform, token: device.token })),
+    title,
+    body,
+    data
+  });
+
+  if (invalidTokens.length > 0) {
+    await DeviceToken.deleteMany({ token: { $in: invalidTokens } });
+  }
+
+  return sent;
+};
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  registerDevice,
+  unregisterDevices,
+  pushToUsers
+};
@@ -0,0 +1,183 @@
+const VisitPlan = require('../models/VisitPlan');
+const ClientFeedback = require('../models/ClientFeedback');
+const User = require('../models/User');
+const { getTeamMemberIds } = require('../utils/scope');
+const { startOfDayIST, endOfDayIST, toISTDateString } = require('../utils/date');
+
+// Salesmen whose plans the user may see and edit, or null when not restricted
+const getPlannableSalesmanIds = async (user) => {
+  if (user.hasPermission('data:all')) {
+    return null;
+  }
+
+  const ids = [user._id];
+  if (user.hasPermission('team:read')) {
+    ids.push(...await getTeamMemberIds(user._id));
+  }
+  return ids;
+};
+
+const isSalesmanPlannable = (salesmanIds, salesmanId) => {
+  return !salesmanIds || salesmanIds.some(id => id.toString() === salesmanId.toString());
+};
+
+/**
+ * Complete the planned visit matching a new feedback (same salesman, client and IST day)
+ * @param {Object} feedback - ClientFeedback document
+ * @returns {Promise<boolean>} - Whether a planned visit was completed
+ */
+const markVisitCompleted = async (feedback) => {
+  const result = await VisitPlan.updateOne(
+    {
+      salesman: feedback.createdBy,
+      date: startOfDayIST(feedback.date),
+      visits: { $elemMatch: { client: feedback.client, status: 'planned' } }
+    },
+    {
+      $set: {
+        'visits.$[visit].status': 'completed',
+        'visits.$[visit].feedback': feedback._id,
+        'visits.$[visit].completedAt': feedback.createdAt || new Date()
+      }
+    },
+    { arrayFilters: [{ 'visit.client': feedback.client, 'visit.status': 'planned' }] }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Visits logged before the plan was made (or changed) still count for it
+const completeFromExistingFeedback = async (plan) => {
+  const planned = plan.visits.filter(visit => visit.status === 'planned');
+  if (planned.length === 0) return plan;
+
+  const feedback = await ClientFeedback.find({
+    createdBy: plan.salesman,
+    client: { $in: planned.map(visit => visit.client) },
+    date: { $gte: startOfDayIST(plan.date), $lte: endOfDayIST(plan.date) },
+    isActive: true
+  }).sort({ createdAt: 1 });
+
+  planned.forEach(visit => {
+    const match = feedback.find(item => item.client.toString() === visit.client.toString());
+    if (match) {
+      visit.status = 'completed';
+      visit.feedback = match._id;
+      visit.completedAt = match.createdAt;
+    }
+  });
+
+  return plan;
+};
+
+/**
+ * Planned vs. completed vs. unplanned visits per salesman
+ * @param {Object} options - { dateFrom, dateTo, salesmanIds } (salesmanIds null for everyone)
+ * @returns {Promise<Object>} - { dateFrom, dateTo, salesmen: [...], totals }
+ */
+const getAdherenceReport = async ({ dateFrom, dateTo, salesmanIds }) => {
+  const from = startOfDayIST(dateFrom);
+  const to = endOfDayIST(dateTo);
+  const today = startOfDayIST();
+
+  const planQuery = { date: { $gte: from, $lte: to } };
+  const feedbackQuery = { date: { $gte: from, $lte: to }, isActive: true };
+  if (salesmanIds) {
+    planQuery.salesman = { $in: salesmanIds };
+    feedbackQuery.createdBy = { $in: salesmanIds };
+  }
+
+  const [plans, visitsLogged] = await Promise.all([
+    VisitPlan.find(planQuery).select('salesman date visits.client visits.status'),
+    // One entry per salesman, client and IST day, however many feedbacks were logged
+    ClientFeedback.aggregate([
+      { $match: feedbackQuery },
+      {
+        $group: {
+          _id: {
+            salesman: '$createdBy',
+            client: '$client',
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: 'Asia/Kolkata' } }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const rows = new Map();
+  const rowFor = (salesmanId) => {
+    const key = salesmanId.toString();
+    if (!rows.has(key)) {
+      rows.set(key, { salesmanId: key, plannedDays: 0, planned: 0, completed: 0, skipped: 0, missed: 0, pending: 0, unplanned: 0 });
+    }
+    return rows.get(key);
+  };
+
+  const plannedVisits = new Set();
+  plans.forEach(plan => {
+    const row = rowFor(plan.salesman);
+    const day = toISTDateString(plan.date);
+    const isPast = plan.date < today;
+
+    row.plannedDays += 1;
+    plan.visits.forEach(visit => {
+      plannedVisits.add(`${plan.salesman}|${visit.client}|${day}`);
+      row.planned += 1;
+      if (visit.status === 'completed') row.completed += 1;
+      else if (visit.status === 'skipped') row.skipped += 1;
+      else if (isPast) row.missed += 1;
+      else row.pending += 1;
+    });
+  });
+
+  visitsLogged.forEach(({ _id }) => {
+    if (!plannedVisits.has(`${_id.salesman}|${_id.client}|${_id.day}`)) {
+      rowFor(_id.salesman).unplanned += 1;
+    }
+  });
+
+  const users = await User.find({ _id: { $in: [...rows.keys()] } }).select('firstName lastName email role');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const adherenceRate = ({ planned, completed }) => (planned > 0 ? Math.round((completed / planned) * 100) : null);
+
+  const salesmen = [...rows.values()].map(row => {
+    const user = usersById.get(row.salesmanId);
+    return {
+      salesman: user
+        ? { _id: user._id, name: `${user.firstName} ${user.lastName}`.trim(), email: user.email, role: user.role }
+        : { _id: row.salesmanId },
+      plannedDays: row.plannedDays,
+      planned: row.planned,
+      completed: row.completed,
+      skipped: row.skipped,
+      missed: row.missed,
+      pending: row.pending,
+      unplanned: row.unplanned,
+      adherenceRate: adherenceRate(row)
+    };
+  }).sort((a, b) => (a.salesman.name || '').localeCompare(b.salesman.name || ''));
+
+  const totals = salesmen.reduce((sum, row) => {
+    ['plannedDays', 'planned', 'completed', 'skipped', 'missed', 'pending', 'unplanned'].forEach(field => {
+      sum[field] += row[field];
+    });
+    return sum;
+  }, { plannedDays: 0, planned: 0, completed: 0, skipped: 0, missed: 0, pending: 0, unplanned: 0 });
+  totals.adherenceRate = adherenceRate(totals);
+
+  return {
+    dateFrom: toISTDateString(from),
+    dateTo: toISTDateString(to),
+    salesmen,
+    totals
+  };
+};
+
+module.exports = {
+  getPlannableSalesmanIds,
+  isSalesmanPlannable,
+  markVisitCompleted,
+  completeFromExistingFeedback,
+  getAdherenceReport
+};
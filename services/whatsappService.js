@@ -1,17 +1,13 @@
-const axios = require('axios');
-const dotenv = require('dotenv');
-dotenv.config();
+const messaging = require('./messaging');
+const { formatPhoneNumber } = require('../utils/phone');
 
+// Facade over services/messaging: messages go out through the providers listed in
+// MESSAGING_PROVIDERS (WhatsApp first, SMS as fallback by default)
 class WhatsAppService {
   constructor() {
-    // Ensure environment variables are loaded
-    if (!process.env.WHATSAPP_TOKEN || !process.env.WHATSAPP_PHONE_NUMBER_ID) {
+    if (!messaging.getProvider('whatsapp').isConfigured()) {
       console.error('WhatsApp environment variables not found. Please check your .env file.');
     }
-
-    this.apiUrl = process.env.WHATSAPP_URL || 'https://graph.facebook.com/v22.0';
-    this.token = process.env.WHATSAPP_TOKEN;
-    this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
   }
 
   /**
@@ -28,136 +24,27 @@ class WhatsAppService {
    * @returns {string} - Formatted phone number
    */
   formatPhoneNumber(phone) {
-    // Remove all non-digit characters
-    let cleanPhone = phone.replace(/\D/g, '');
-
-    // If number is 10 digits, add India country code (91)
-    if (cleanPhone.length === 10) {
-      cleanPhone = '91' + cleanPhone;
-    }
-
-    return cleanPhone;
+    return formatPhoneNumber(phone);
   }
 
   /**
-   * Send OTP via WhatsApp Business API
+   * Send OTP, falling back to the next provider when one fails
    * @param {string} to - Recipient phone number (without +)
    * @param {string} otp - 6-digit OTP
-   * @param {string} clientName - Client name
-   * @returns {Promise<Object>} - Response object
+   * @returns {Promise<Object>} - Response object, `channel` is where it was delivered
    */
-  async sendOTP(to, otp, clientName = 'Valued Customer') {
-    try {
-      this.token = process.env.WHATSAPP_TOKEN;
-      this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-
-      if (!this.token || !this.phoneNumberId) {
-        throw new Error('WhatsApp credentials not configured. Please set WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID');
-      }
-
-      const formattedPhone = this.formatPhoneNumber(to);
-      const templateName = process.env.WHATSAPP_TEMPLATE_NAME || 'auth_template';
-
-
-      const requestPayload = {
-        messaging_product: 'whatsapp',
-        to: formattedPhone,
-        type: 'template',
-        template: {
-          name: templateName,
-          language: { code: 'en_US' },
-          components: [
-            {
-              type: 'body',
-              parameters: [{ type: 'text', text: otp }]
-            },
-            {
-              type: 'button',
-              sub_type: 'url',
-              index: '0',
-              parameters: [
-                { type: 'text', text: otp }
-              ]
-            }
-          ]
-        }
-      };
-
-
-      console.log('WhatsApp API Request:', JSON.stringify(requestPayload, null, 2));
-
-      const response = await axios.post(
-        `${this.apiUrl}/${this.phoneNumberId}/messages`,
-        requestPayload,
-        {
-          headers: {
-            Authorization: `Bearer ${this.token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      return {
-        success: true,
-        messageSid: response.data.messages[0]?.id,
-        status: 'sent',
-        phoneNumber: formattedPhone,
-      };
-    } catch (error) {
-      console.error('WhatsApp API Error:', error.response?.data || error.message);
-
-      return {
-        success: false,
-        error: error.response?.data || error.message,
-        code: error.response?.status,
-      };
-    }
+  async sendOTP(to, otp) {
+    return messaging.sendOTP(to, otp);
   }
 
   /**
-   * Send custom WhatsApp message
+   * Send custom message, falling back to the next provider when one fails
    * @param {string} to - Recipient phone number
    * @param {string} message - Custom message
    * @returns {Promise<Object>} - Response object
    */
   async sendCustomMessage(to, message) {
-    try {
-      if (!this.token || !this.phoneNumberId) {
-        throw new Error('WhatsApp credentials not configured');
-      }
-
-      const formattedPhone = this.formatPhoneNumber(to);
-
-      const response = await axios.post(
-        `${this.apiUrl}/${this.phoneNumberId}/messages`,
-        {
-          messaging_product: 'whatsapp',
-          to: formattedPhone,
-          type: 'text',
-          text: {
-            body: message,
-          },
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${this.token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      return {
-        success: true,
-        messageSid: response.data.messages[0]?.id,
-        status: 'sent',
-      };
-    } catch (error) {
-      console.error('WhatsApp custom message error:', error);
-      return {
-        success: false,
-        error: error.response?.data || error.message,
-      };
-    }
+    return messaging.sendMessage(to, message);
   }
 
   /**
@@ -167,19 +54,12 @@ class WhatsAppService {
    */
   async getMessageStatus(messageId) {
     try {
-      const response = await axios.get(
-        `${this.apiUrl}/${messageId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.token}`,
-          },
-        }
-      );
+      const { status, data } = await messaging.getProvider('whatsapp').getMessageStatus(messageId);
 
       return {
         success: true,
-        status: response.data.status,
-        data: response.data,
+        status,
+        data,
       };
     } catch (error) {
       console.error('WhatsApp message status error:', error);
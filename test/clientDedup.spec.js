@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, run } = require('./helpers');
+const Client = require('../models/Client');
+const ClientFeedback = require('../models/ClientFeedback');
+const Otp = require('../models/Otp');
+const Notification = require('../models/Notification');
+const Area = require('../models/Area');
+const User = require('../models/User');
+const { nameSimilarity, findDuplicates, mergeClients } = require('../services/clientDedupService');
+const { createClient } = require('../controllers/client');
+
+const admin = new User({ firstName: 'Asha', lastName: 'Rao', email: 'admin@example.com', role: 'admin' });
+const area = new Area({ name: 'Andheri', city: 'Mumbai', state: 'Maharashtra' });
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('nameSimilarity', () => {
+  it('ignores case, punctuation and legal suffixes', () => {
+    assert.strictEqual(nameSimilarity('M/s Sharma Traders Pvt. Ltd.', 'sharma traders'), 1);
+  });
+
+  it('treats a name contained in a longer one as similar', () => {
+    assert.ok(nameSimilarity('Sharma Traders', 'Sharma Traders Kirana') >= 0.85);
+  });
+
+  it('tells different shops apart', () => {
+    assert.ok(nameSimilarity('Sharma Traders', 'Gupta Stores') < 0.5);
+    assert.strictEqual(nameSimilarity('', 'Gupta Stores'), 0);
+  });
+});
+
+describe('findDuplicates', () => {
+  const samePhone = new Client({ name: 'Gupta Stores', phone: '+91 98765 43210', area: area._id });
+  const sameName = new Client({ name: 'Sharma Traders Kirana', phone: '919000000000', area: area._id });
+
+  it('looks up the normalized phone and legacy clients by raw phone', async () => {
+    const find = mock.method(Client, 'find', () => query([]));
+
+    await findDuplicates({ phone: '98765-43210' }, { phoneOnly: true });
+
+    assert.strictEqual(find.mock.callCount(), 1);
+    const [{ $or }] = find.mock.calls[0].arguments;
+    assert.deepStrictEqual($or[0], { normalizedPhone: '919876543210' });
+    assert.ok($or[1].phone.test('098765 43210'));
+  });
+
+  it('reports phone and name matches in the area, best first', async () => {
+    mock.method(Client, 'find', (filter) => query(filter.$or ? [samePhone] : [sameName, samePhone]));
+
+    const matches = await findDuplicates({ phone: '9876543210', name: 'Sharma Traders', area: area._id });
+
+    assert.deepStrictEqual(
+      matches.map(({ client, matchedOn }) => [client.name, matchedOn]),
+      [['Gupta Stores', ['phone']], ['Sharma Traders Kirana', ['name']]]
+    );
+  });
+});
+
+describe('createClient', () => {
+  const duplicate = new Client({ name: 'Sharma Traders', phone: '919876543210', area: area._id });
+  const body = { name: 'Sharma Traders', phone: '9876543210', area: area._id.toString() };
+
+  beforeEach(() => {
+    mock.method(Area, 'findById', async () => area);
+    mock.method(Client, 'find', () => query([duplicate]));
+    mock.method(Client, 'findById', () => query(duplicate));
+    mock.method(Client.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  it('refuses a client that looks like an existing one', async () => {
+    const { error } = await run(createClient, { body, user: admin });
+
+    assert.strictEqual(error.statusCode, 409);
+    assert.strictEqual(error.code, 'DUPLICATE_CLIENT');
+    assert.strictEqual(error.details.duplicates[0].client, duplicate);
+    assert.strictEqual(Client.prototype.save.mock.callCount(), 0);
+  });
+
+  it('creates the client anyway when forced', async () => {
+    const { status } = await run(createClient, { body: { ...body, force: 'true' }, user: admin });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(Client.prototype.save.mock.callCount(), 1);
+  });
+});
+
+describe('mergeClients', () => {
+  const stubMerge = (survivor, duplicate) => {
+    mock.method(Client, 'findById', async (id) => [survivor, duplicate].find(client => client._id.equals(id)));
+    mock.method(survivor, 'save', async () => survivor);
+    mock.method(duplicate, 'save', async () => duplicate);
+    [ClientFeedback, Otp, Notification].forEach(model => {
+      mock.method(model, 'updateMany', async () => ({ modifiedCount: 2 }));
+    });
+  };
+
+  it('moves the references over, fills blank fields and retires the duplicate', async () => {
+    const survivor = new Client({ name: 'Sharma Traders', phone: '919876543210', area: area._id });
+    const duplicate = new Client({
+      name: 'Sharma Trdrs',
+      phone: '919876543210',
+      email: 'sharma@example.com',
+      address: { city: 'Mumbai' },
+      area: area._id
+    });
+    stubMerge(survivor, duplicate);
+
+    const result = await mergeClients(survivor._id, duplicate._id, admin);
+
+    assert.deepStrictEqual(result.moved, { feedback: 2, otps: 2, notifications: 2 });
+    assert.deepStrictEqual(ClientFeedback.updateMany.mock.calls[0].arguments, [{ client: duplicate._id }, { client: survivor._id }]);
+    assert.strictEqual(survivor.email, 'sharma@example.com');
+    assert.strictEqual(survivor.address.city, 'Mumbai');
+    assert.strictEqual(duplicate.isActive, false);
+    assert.strictEqual(duplicate.mergedInto, survivor._id);
+    assert.strictEqual(duplicate.mergedBy, admin._id);
+  });
+
+  it('refuses a duplicate that was already merged', async () => {
+    const survivor = new Client({ name: 'Sharma Traders', phone: '919876543210', area: area._id });
+    const duplicate = new Client({ name: 'Sharma Trdrs', phone: '919876543210', area: area._id, mergedInto: new mongoose.Types.ObjectId() });
+    stubMerge(survivor, duplicate);
+
+    await assert.rejects(mergeClients(survivor._id, duplicate._id, admin), /already been merged/);
+    assert.strictEqual(ClientFeedback.updateMany.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+const Client = require('../models/Client');
+const { parseClientFile } = require('../services/clientImportService');
+const { createDuplicateMatcher } = require('../services/clientDedupService');
+
+const csvFile = (text) => ({ originalname: 'clients.csv', mimetype: 'text/csv', buffer: Buffer.from(text) });
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('parseClientFile', () => {
+  it('maps header spellings to fields and numbers rows as in the sheet', async () => {
+    const rows = await parseClientFile(csvFile('Client Name,Mobile Number,Area Name,Shop\nRavi, 98765 43210 ,Andheri,"Ravi & Sons"\n'));
+
+    assert.deepStrictEqual(rows, [
+      { row: 2, data: { name: 'Ravi', phone: '98765 43210', area: 'Andheri', company: 'Ravi & Sons' } }
+    ]);
+  });
+
+  it('refuses a file without the required columns', async () => {
+    await assert.rejects(parseClientFile(csvFile('name,email\nRavi,ravi@example.com')), (error) => {
+      assert.strictEqual(error.code, 'INVALID_IMPORT_FILE');
+      assert.match(error.message, /phone, area/);
+      return true;
+    });
+  });
+
+  it('refuses other file types', async () => {
+    const file = { originalname: 'clients.pdf', mimetype: 'application/pdf', buffer: Buffer.from('') };
+
+    await assert.rejects(parseClientFile(file), { code: 'UNSUPPORTED_FILE_TYPE' });
+  });
+});
+
+describe('createDuplicateMatcher', () => {
+  const area = new mongoose.Types.ObjectId();
+  const saved = { _id: new mongoose.Types.ObjectId(), name: 'Sharma Traders', phone: '+91 98765 43210', normalizedPhone: '919876543210', area };
+  const legacy = { _id: new mongoose.Types.ObjectId(), name: 'Gupta Stores', phone: '098765-43210', normalizedPhone: null, area };
+
+  it('loads only legacy clients whose raw phone is in the file', async () => {
+    const find = mock.method(Client, 'find', () => query([]));
+
+    await createDuplicateMatcher([{ phone: '9876543210', area }]);
+
+    const [filter] = find.mock.calls[0].arguments;
+    const legacyFilter = filter.$or.find(condition => condition.normalizedPhone === null);
+    assert.deepStrictEqual(filter.$or[0], { normalizedPhone: { $in: ['919876543210'] } });
+    assert.strictEqual(legacyFilter.phone.$in.length, 1);
+    assert.ok(legacyFilter.phone.$in[0].test(legacy.phone));
+  });
+
+  it('matches saved and legacy clients by phone and area clients by name', async () => {
+    const namesake = { _id: new mongoose.Types.ObjectId(), name: 'Sharma Traders Pvt Ltd', phone: '919000000000', normalizedPhone: '919000000000', area };
+    mock.method(Client, 'find', (filter) => query(filter.$or ? [saved, legacy] : [namesake]));
+
+    const findDuplicates = await createDuplicateMatcher([{ phone: '9876543210', area }]);
+    const matches = findDuplicates({ phone: '9876543210', name: 'Sharma Traders', area });
+
+    assert.deepStrictEqual(
+      matches.map(({ client, matchedOn }) => [client.name, matchedOn]),
+      [['Sharma Traders', ['phone']], ['Gupta Stores', ['phone']], ['Sharma Traders Pvt Ltd', ['name']]]
+    );
+  });
+
+  it('does not match legacy clients with another phone', async () => {
+    mock.method(Client, 'find', (filter) => query(filter.$or ? [legacy] : []));
+
+    const findDuplicates = await createDuplicateMatcher([{ phone: '9123456789', area }]);
+
+    assert.deepStrictEqual(findDuplicates({ phone: '9123456789', name: 'Other', area }), []);
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsvRow } = require('../utils/csv');
+
+describe('toCsvRow', () => {
+  it('quotes cells with commas, quotes or newlines', () => {
+    assert.strictEqual(toCsvRow(['a,b', 'say "hi"', 'two\nlines', 'plain']), '"a,b","say ""hi""","two\nlines",plain');
+  });
+
+  it('writes missing values as empty cells', () => {
+    assert.strictEqual(toCsvRow([null, undefined, 0, false]), ',,0,false');
+  });
+
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    assert.strictEqual(
+      toCsvRow(['=HYPERLINK("http://x")', '@SUM(A1)', '+cmd|calc', '-1+1', '\tTAB']),
+      '"\'=HYPERLINK(""http://x"")",\'@SUM(A1),\'+cmd|calc,\'-1+1,\'\tTAB'
+    );
+  });
+
+  it('leaves phone numbers and numbers as they are', () => {
+    assert.strictEqual(toCsvRow(['+91 98765 43210', '+91-98765-43210', '-12.5', -5]), '+91 98765 43210,+91-98765-43210,-12.5,-5');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads quoted cells, escaped quotes and CRLF line ends', () => {
+    assert.deepStrictEqual(parseCsv('name,notes\r\n"Sharma, Traders","said ""call later"""\r\nGupta,'), [
+      ['name', 'notes'],
+      ['Sharma, Traders', 'said "call later"'],
+      ['Gupta', '']
+    ]);
+  });
+
+  it('ignores the byte order mark Excel adds', () => {
+    assert.deepStrictEqual(parseCsv('\ufeffname\nA'), [['name'], ['A']]);
+  });
+
+  it('reads back what toCsvRow wrote', () => {
+    const cells = ['a,b', 'say "hi"', 'two\nlines'];
+    assert.deepStrictEqual(parseCsv(toCsvRow(cells)), [cells]);
+  });
+});
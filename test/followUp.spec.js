@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { notifications, query } = require('./helpers');
+const ClientFeedback = require('../models/ClientFeedback');
+const { getFollowUpDate, sendFollowUpReminders } = require('../services/followUpService');
+const { startOfDayIST, endOfDayIST, DAY_MS } = require('../utils/date');
+
+const salesman = { _id: new mongoose.Types.ObjectId(), isActive: true };
+const client = { _id: new mongoose.Types.ObjectId(), name: 'Sharma Traders', phone: '919876543210', isActive: true };
+
+beforeEach(() => {
+  notifications.length = 0;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('getFollowUpDate', () => {
+  it('keeps the date the salesman asked for', () => {
+    assert.deepStrictEqual(getFollowUpDate({ lead: 'Green', followUpDate: '2024-05-10' }), new Date('2024-05-10'));
+  });
+
+  it('gives Orange leads a follow-up three days out', () => {
+    const date = new Date('2024-05-01T10:00:00Z');
+
+    assert.deepStrictEqual(getFollowUpDate({ lead: 'Orange', date }), new Date(startOfDayIST(date).getTime() + 3 * DAY_MS));
+  });
+
+  it('leaves other leads without a follow-up', () => {
+    assert.strictEqual(getFollowUpDate({ lead: 'Red', date: new Date() }), null);
+  });
+});
+
+describe('sendFollowUpReminders', () => {
+  const now = new Date('2024-05-10T06:00:00Z');
+  const followUp = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    client,
+    createdBy: salesman,
+    lead: 'Orange',
+    followUpNote: 'Bring the new price list',
+    ...fields
+  });
+
+  // Hand out each batch once, keyed by the field that marks it notified
+  const stubBatches = (batches, { claimed = true } = {}) => {
+    mock.method(ClientFeedback, 'find', (filter) => {
+      const field = filter.followUpDueNotifiedAt === null ? 'due' : 'overdue';
+      const batch = batches[field] || [];
+      batches[field] = [];
+      return query(batch);
+    });
+    mock.method(ClientFeedback, 'updateOne', async () => ({ modifiedCount: claimed ? 1 : 0 }));
+  };
+
+  it('reminds the salesman of follow-ups due today and overdue ones', async () => {
+    stubBatches({
+      due: [followUp({ followUpDate: startOfDayIST(now) })],
+      overdue: [followUp({ followUpDate: new Date(startOfDayIST(now).getTime() - DAY_MS) })]
+    });
+
+    const counts = await sendFollowUpReminders(now);
+
+    assert.deepStrictEqual(counts, { due: 1, overdue: 1 });
+    assert.deepStrictEqual(notifications.map(({ type }) => type), ['follow_up_due', 'follow_up_overdue']);
+    assert.strictEqual(notifications[0].recipients, salesman);
+    assert.strictEqual(notifications[0].data.dueDate, '2024-05-10');
+
+    const [dueQuery] = ClientFeedback.find.mock.calls[0].arguments;
+    assert.deepStrictEqual(dueQuery.followUpDate, { $gte: startOfDayIST(now), $lte: endOfDayIST(now) });
+    const [overdueQuery] = ClientFeedback.find.mock.calls[1].arguments;
+    assert.deepStrictEqual(overdueQuery.followUpDate, { $lt: startOfDayIST(now) });
+  });
+
+  it('skips follow-ups of inactive clients', async () => {
+    stubBatches({ due: [followUp({ client: { ...client, isActive: false }, followUpDate: now })] });
+
+    const counts = await sendFollowUpReminders(now);
+
+    assert.deepStrictEqual(counts, { due: 0, overdue: 0 });
+    assert.strictEqual(notifications.length, 0);
+  });
+
+  it('leaves a reminder another run has claimed', async () => {
+    stubBatches({ due: [followUp({ followUpDate: now })] }, { claimed: false });
+
+    const counts = await sendFollowUpReminders(now);
+
+    assert.deepStrictEqual(counts, { due: 0, overdue: 0 });
+    assert.strictEqual(notifications.length, 0);
+  });
+});
@@ -0,0 +1,63 @@
+// Shared stand-ins for the specs: controllers run against stubbed models, no database needed
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'spec-secret';
+
+const notificationService = require('../services/notificationService');
+
+// Notifications are recorded instead of stored. Patched before any controller is
+// required, as controllers keep their own reference to notify
+const notifications = [];
+notificationService.notify = async (type, options) => {
+  notifications.push({ type, ...options });
+  return [];
+};
+
+// Chainable stand-in for a mongoose query that resolves to value
+const query = (value) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Run a controller wrapped in asyncHandler
+ * @param {Function} handler - Controller
+ * @param {Object} req - Request fields, merged over sensible defaults
+ * @returns {Promise<Object>} - { status, body } once it responded, or { error } passed to next
+ */
+const run = (handler, req = {}) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+
+  handler(
+    { body: {}, params: {}, query: {}, ip: '127.0.0.1', get: () => 'spec-agent', header: () => undefined, ...req },
+    res,
+    (error) => resolve({ error })
+  );
+});
+
+/**
+ * Run a plain (req, res, next) middleware
+ * @param {Function} middleware - Middleware
+ * @param {Object} req - Request
+ * @returns {Promise<*>} - Whatever was passed to next (undefined when it let the request through)
+ */
+const runMiddleware = (middleware, req) => new Promise((resolve) => {
+  middleware(req, {}, resolve);
+});
+
+module.exports = { notifications, query, run, runMiddleware };
@@ -0,0 +1,117 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { query, run } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const { login } = require('../controllers/auth');
+
+const PASSWORD = 'secret123';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+const buildUser = (fields = {}) => new User({
+  email: 'salesman@example.com',
+  password: PASSWORD_HASH,
+  firstName: 'Ravi',
+  lastName: 'Kumar',
+  role: 'salesman',
+  isActive: true,
+  ...fields
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('login', () => {
+  const stubLogin = (user) => {
+    mock.method(LoginAttempt, 'countDocuments', async () => 0);
+    const attempts = mock.method(LoginAttempt, 'create', async () => ({}));
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(User.prototype, 'save', async function() { return this; });
+    mock.method(Session.prototype, 'save', async function() { return this; });
+    return attempts;
+  };
+
+  it('rejects non-string credentials before looking up the user', async () => {
+    const findOne = mock.method(User, 'findOne', () => query(null));
+
+    const { error } = await run(login, { body: { username: { $gt: '' }, password: PASSWORD } });
+
+    assert.strictEqual(error.statusCode, 400);
+    assert.strictEqual(findOne.mock.callCount(), 0);
+  });
+
+  const rejectedLogins = [
+    ['an unknown account', () => null, PASSWORD],
+    ['a wrong password', () => buildUser(), 'wrong-password'],
+    ['a locked account', () => buildUser({ lockUntil: new Date(Date.now() + 60 * 1000) }), PASSWORD]
+  ];
+
+  rejectedLogins.forEach(([label, buildLoginUser, password]) => {
+    it(`answers ${label} with the generic invalid credentials error`, async () => {
+      stubLogin(buildLoginUser());
+      mock.method(User, 'registerFailedLogin', async () => null);
+
+      const { error } = await run(login, { body: { username: 'salesman@example.com', password } });
+
+      assert.strictEqual(error.statusCode, 401);
+      assert.strictEqual(error.code, 'INVALID_CREDENTIALS');
+      assert.strictEqual(error.message, 'Invalid credentials');
+      assert.strictEqual(error.details, undefined);
+    });
+  });
+
+  it('counts a wrong password against the account', async () => {
+    const user = buildUser();
+    const attempts = stubLogin(user);
+    const registerFailedLogin = mock.method(User, 'registerFailedLogin', async () => null);
+
+    await run(login, { body: { username: 'salesman@example.com', password: 'wrong-password' } });
+
+    assert.deepStrictEqual(registerFailedLogin.mock.calls[0].arguments, [user._id, '127.0.0.1']);
+    assert.strictEqual(attempts.mock.calls[0].arguments[0].reason, 'invalid_password');
+  });
+});
+
+describe('User.registerFailedLogin', () => {
+  it('only counts the failure below the limit', async () => {
+    const update = mock.method(User, 'findOneAndUpdate', () => query({ failedLoginAttempts: 1, lockCount: 0 }));
+
+    await User.registerFailedLogin(new mongoose.Types.ObjectId(), '10.0.0.1');
+
+    assert.strictEqual(update.mock.callCount(), 1);
+    assert.deepStrictEqual(update.mock.calls[0].arguments[1].$inc, { failedLoginAttempts: 1 });
+  });
+
+  it('locks the account once the limit is reached, longer after each lock', async () => {
+    const update = mock.method(User, 'findOneAndUpdate', () => query({
+      failedLoginAttempts: User.MAX_LOGIN_ATTEMPTS,
+      lockCount: 1
+    }));
+    const before = Date.now();
+
+    await User.registerFailedLogin(new mongoose.Types.ObjectId(), '10.0.0.1');
+
+    assert.strictEqual(update.mock.callCount(), 2);
+    const [filter, change] = update.mock.calls[1].arguments;
+    assert.deepStrictEqual(filter.failedLoginAttempts, { $gte: User.MAX_LOGIN_ATTEMPTS });
+    assert.strictEqual(change.$set.failedLoginAttempts, 0);
+    assert.deepStrictEqual(change.$inc, { lockCount: 1 });
+    // Second lock: twice the base 15 minutes
+    const lockMs = change.$set.lockUntil.getTime() - before;
+    assert.ok(lockMs >= 30 * 60 * 1000 && lockMs < 31 * 60 * 1000);
+  });
+
+  it('falls back to the counted state when a concurrent attempt locked first', async () => {
+    const counted = { failedLoginAttempts: User.MAX_LOGIN_ATTEMPTS, lockCount: 0 };
+    const results = [counted, null];
+    mock.method(User, 'findOneAndUpdate', () => query(results.shift()));
+
+    const user = await User.registerFailedLogin(new mongoose.Types.ObjectId(), '10.0.0.1');
+
+    assert.strictEqual(user, counted);
+  });
+});
@@ -0,0 +1,232 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { notifications, query, run } = require('./helpers');
+const Otp = require('../models/Otp');
+const OtpOverride = require('../models/OtpOverride');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const messaging = require('../services/messaging');
+const { OVERRIDE_REQUEST_WINDOW_MINUTES, retryQueuedOtps } = require('../services/otpDeliveryService');
+const { sendOTP, requestOverride } = require('../controllers/otp');
+
+const salesman = new User({ firstName: 'Ravi', lastName: 'Kumar', email: 'salesman@example.com', role: 'salesman' });
+const client = new Client({ name: 'Sharma Traders', phone: '919876543210', area: new mongoose.Types.ObjectId() });
+
+const delivered = async () => ({ success: true, channel: 'WhatsApp', messageSid: 'wamid.1', attempts: [] });
+const undelivered = async () => ({
+  success: false,
+  error: 'Message could not be delivered (whatsapp: rejected, sms: not_configured)',
+  attempts: [{ provider: 'whatsapp', reason: 'rejected' }, { provider: 'sms', reason: 'not_configured' }]
+});
+
+const withPolicy = (policy) => {
+  process.env.OTP_FALLBACK_POLICY = policy;
+};
+
+beforeEach(() => {
+  notifications.length = 0;
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.OTP_FALLBACK_POLICY;
+});
+
+describe('sendOTP', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    mock.method(Client, 'findById', () => query(client));
+    mock.method(Otp, 'updateMany', async () => ({}));
+    mock.method(Otp.prototype, 'save', async function() {
+      saved.push(this);
+      return this;
+    });
+  });
+
+  const send = () => run(sendOTP, { body: { clientId: client._id }, user: salesman });
+  const sentCode = () => messaging.sendOTP.mock.calls[0].arguments[1];
+
+  it('never returns the code once it was delivered', async () => {
+    mock.method(messaging, 'sendOTP', delivered);
+
+    const { status, body } = await send();
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.deliveryStatus, 'sent');
+    assert.ok(!JSON.stringify(body).includes(sentCode()));
+  });
+
+  it('retires an undelivered code under the channel policy', async () => {
+    withPolicy('channel');
+    mock.method(messaging, 'sendOTP', undelivered);
+
+    const { error } = await send();
+
+    assert.strictEqual(error.statusCode, 502);
+    assert.strictEqual(error.code, 'OTP_DELIVERY_FAILED');
+    assert.strictEqual(error.details.manualOverride, false);
+    assert.deepStrictEqual(error.details.attempts, [
+      { provider: 'whatsapp', reason: 'rejected' },
+      { provider: 'sms', reason: 'not_configured' }
+    ]);
+    assert.ok(!JSON.stringify(error.details).includes(sentCode()));
+
+    const otp = saved[saved.length - 1];
+    assert.strictEqual(otp.deliveryStatus, 'failed');
+    assert.strictEqual(otp.isUsed, true);
+  });
+
+  it('queues an undelivered code for retry under the queue policy', async () => {
+    withPolicy('queue');
+    mock.method(messaging, 'sendOTP', undelivered);
+
+    const { status, body } = await send();
+
+    assert.strictEqual(status, 202);
+    assert.strictEqual(body.data.deliveryStatus, 'queued');
+    assert.ok(!JSON.stringify(body).includes(sentCode()));
+
+    const otp = saved[saved.length - 1];
+    assert.strictEqual(otp.isUsed, false);
+    assert.ok(otp.nextDeliveryAt > new Date());
+    assert.strictEqual(notifications[0].type, 'otp_queued');
+  });
+
+  it('offers a manual verification and keeps the failed OTP for it under the manual policy', async () => {
+    withPolicy('manual');
+    mock.method(messaging, 'sendOTP', undelivered);
+
+    const { error } = await send();
+
+    assert.strictEqual(error.code, 'OTP_DELIVERY_FAILED');
+    assert.strictEqual(error.details.manualOverride, true);
+
+    const otp = saved[saved.length - 1];
+    assert.strictEqual(otp.isUsed, true);
+    assert.ok(otp.expiresAt >= new Date(Date.now() + (OVERRIDE_REQUEST_WINDOW_MINUTES * 60 - 5) * 1000));
+  });
+});
+
+describe('requestOverride', () => {
+  const failedOtp = (fields = {}) => {
+    const otp = new Otp({
+      client: client._id,
+      otp: '123456',
+      phone: client.phone,
+      requestedBy: salesman._id,
+      deliveryStatus: 'failed',
+      lastDeliveryError: 'Message could not be delivered (whatsapp: rejected)',
+      ...fields
+    });
+    otp.createdAt = fields.createdAt || new Date(Date.now() - 60 * 1000);
+    return otp;
+  };
+
+  const stubOverride = ({ latestOtp, verifiedClient = client } = {}) => {
+    mock.method(Client, 'findById', () => query(verifiedClient));
+    mock.method(Otp, 'findOne', () => query(latestOtp));
+    mock.method(OtpOverride, 'findOne', async () => null);
+    mock.method(OtpOverride, 'create', async (fields) => new OtpOverride(fields));
+    mock.method(User, 'find', () => query([{ _id: new mongoose.Types.ObjectId() }]));
+  };
+
+  const request = () => run(requestOverride, {
+    body: { clientId: client._id, reason: 'Client phone has no WhatsApp' },
+    user: salesman
+  });
+
+  it('is only available under the manual policy', async () => {
+    withPolicy('channel');
+    stubOverride({ latestOtp: failedOtp() });
+
+    const { error } = await request();
+
+    assert.strictEqual(error.code, 'MANUAL_OVERRIDE_DISABLED');
+  });
+
+  it('asks every approver once the salesman\'s OTP to the client failed', async () => {
+    withPolicy('manual');
+    stubOverride({ latestOtp: failedOtp() });
+
+    const { status, body } = await request();
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.data.status, 'pending');
+    assert.strictEqual(notifications[0].type, 'otp_override_requested');
+
+    const [filter] = User.find.mock.calls[0].arguments;
+    assert.ok(filter.role.$in.includes('admin'));
+    assert.ok(!filter.role.$in.includes('salesman'));
+  });
+
+  const refused = [
+    ['the latest OTP was delivered', { deliveryStatus: 'sent' }],
+    ['another salesman asked for the OTP', { requestedBy: new mongoose.Types.ObjectId() }],
+    ['the failure is older than the request window', {
+      createdAt: new Date(Date.now() - (OVERRIDE_REQUEST_WINDOW_MINUTES + 1) * 60 * 1000)
+    }]
+  ];
+
+  refused.forEach(([label, fields]) => {
+    it(`is refused when ${label}`, async () => {
+      withPolicy('manual');
+      stubOverride({ latestOtp: failedOtp(fields) });
+
+      const { error } = await request();
+
+      assert.strictEqual(error.code, 'NO_FAILED_DELIVERY');
+      assert.strictEqual(OtpOverride.create.mock.callCount(), 0);
+    });
+  });
+
+  it('is refused when the client was verified after the failure', async () => {
+    withPolicy('manual');
+    const verifiedClient = new Client({ ...client.toObject(), phoneVerifiedAt: new Date(), phoneVerificationMethod: 'otp' });
+    stubOverride({ latestOtp: failedOtp(), verifiedClient });
+
+    const { error } = await request();
+
+    assert.strictEqual(error.code, 'ALREADY_VERIFIED');
+  });
+});
+
+describe('retryQueuedOtps', () => {
+  it('skips queued OTPs another run has already leased', async () => {
+    mock.method(Otp, 'find', () => query([{ _id: new mongoose.Types.ObjectId() }]));
+    const claim = mock.method(Otp, 'findOneAndUpdate', () => query(null));
+    const sendOtp = mock.method(messaging, 'sendOTP', delivered);
+
+    const counts = await retryQueuedOtps();
+
+    assert.deepStrictEqual(counts, { sent: 0, failed: 0 });
+    assert.strictEqual(claim.mock.callCount(), 1);
+    assert.strictEqual(sendOtp.mock.callCount(), 0);
+  });
+
+  it('delivers a leased OTP and tells the salesman', async () => {
+    const otp = new Otp({
+      client: client._id,
+      otp: '123456',
+      phone: client.phone,
+      deliveryStatus: 'queued',
+      nextDeliveryAt: new Date()
+    });
+    otp.client = client;
+    otp.requestedBy = salesman;
+    mock.method(otp, 'save', async () => otp);
+    mock.method(Otp, 'find', () => query([{ _id: otp._id }]));
+    mock.method(Otp, 'findOneAndUpdate', () => query(otp));
+    mock.method(messaging, 'sendOTP', delivered);
+
+    const counts = await retryQueuedOtps();
+
+    assert.deepStrictEqual(counts, { sent: 1, failed: 0 });
+    assert.strictEqual(otp.deliveryStatus, 'sent');
+    assert.strictEqual(notifications[0].type, 'otp_sent');
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { query, run, runMiddleware } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const { login, changePassword } = require('../controllers/auth');
+const { auth, passwordChangeAuth } = require('../middleware/auth');
+
+const PASSWORD = 'secret123';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+const buildUser = (fields = {}) => new User({
+  email: 'salesman@example.com',
+  password: PASSWORD_HASH,
+  firstName: 'Ravi',
+  lastName: 'Kumar',
+  role: 'salesman',
+  isActive: true,
+  ...fields
+});
+
+const bearer = (token) => ({
+  header: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined),
+  query: {}
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('login', () => {
+  it('only issues a password-change token while the password must be changed', async () => {
+    mock.method(LoginAttempt, 'countDocuments', async () => 0);
+    mock.method(LoginAttempt, 'create', async () => ({}));
+    mock.method(User, 'findOne', () => query(buildUser({ mustChangePassword: true })));
+    mock.method(User.prototype, 'save', async function() { return this; });
+    mock.method(Session.prototype, 'save', async function() { return this; });
+
+    const { body } = await run(login, { body: { username: 'salesman@example.com', password: PASSWORD } });
+
+    assert.strictEqual(body.data.mustChangePassword, true);
+    assert.strictEqual(body.data.refreshToken, undefined);
+    assert.strictEqual(Session.prototype.save.mock.callCount(), 0);
+    assert.strictEqual(jwt.decode(body.data.token).purpose, 'password_change');
+  });
+});
+
+describe('password-change tokens', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const token = () => jwt.sign({ userId: userId.toString(), purpose: 'password_change' }, process.env.JWT_SECRET);
+
+  it('are kept away from regular routes', async () => {
+    const error = await runMiddleware(auth, bearer(token()));
+
+    assert.strictEqual(error.code, 'PASSWORD_CHANGE_REQUIRED');
+  });
+
+  it('are accepted while the password must be changed', async () => {
+    mock.method(User, 'findById', () => query(buildUser({ _id: userId, mustChangePassword: true })));
+    const req = bearer(token());
+
+    const error = await runMiddleware(passwordChangeAuth, req);
+
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(req.authSession, null);
+  });
+
+  it('are rejected once the password was changed', async () => {
+    mock.method(User, 'findById', () => query(buildUser({ _id: userId, mustChangePassword: false })));
+
+    const error = await runMiddleware(passwordChangeAuth, bearer(token()));
+
+    assert.strictEqual(error.code, 'INVALID_TOKEN');
+  });
+
+  it('are rejected when issued before a later admin reset', async () => {
+    mock.method(User, 'findById', () => query(buildUser({
+      _id: userId,
+      mustChangePassword: true,
+      passwordResetAt: new Date(Date.now() + 5 * 1000)
+    })));
+
+    const error = await runMiddleware(passwordChangeAuth, bearer(token()));
+
+    assert.strictEqual(error.code, 'INVALID_TOKEN');
+  });
+});
+
+describe('changePassword', () => {
+  it('rejects a new password that is not a string', async () => {
+    const findById = mock.method(User, 'findById', () => query(buildUser()));
+
+    const { error } = await run(changePassword, {
+      body: { currentPassword: PASSWORD, newPassword: { length: 8 } },
+      user: buildUser()
+    });
+
+    assert.strictEqual(error.statusCode, 400);
+    assert.strictEqual(findById.mock.callCount(), 0);
+  });
+});
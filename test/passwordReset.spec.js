@@ -0,0 +1,153 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, run } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Otp = require('../models/Otp');
+const messaging = require('../services/messaging');
+const { forgotPassword, resetPassword } = require('../controllers/auth');
+
+const FORGOT_PASSWORD_MESSAGE = 'If the account exists, a reset code has been sent to its registered phone number';
+
+const buildUser = (fields = {}) => new User({
+  email: 'salesman@example.com',
+  password: 'hashed',
+  firstName: 'Ravi',
+  lastName: 'Kumar',
+  phone: '919876543210',
+  role: 'salesman',
+  isActive: true,
+  ...fields
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('forgotPassword', () => {
+  const stubReset = ({ user = buildUser(), latestOtp = null, recentCount = 0 } = {}) => {
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(Otp, 'findOne', () => query(latestOtp));
+    mock.method(Otp, 'countDocuments', async () => recentCount);
+    mock.method(Otp, 'updateMany', async () => ({}));
+    mock.method(Otp.prototype, 'save', async function() { return this; });
+    mock.method(messaging, 'sendOTP', async () => ({ success: true, channel: 'WhatsApp', attempts: [] }));
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  };
+
+  const request = () => run(forgotPassword, { body: { username: 'salesman@example.com' } });
+
+  it('gives the same answer for unknown accounts without sending anything', async () => {
+    stubReset({ user: null });
+
+    const { status, body } = await request();
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.message, FORGOT_PASSWORD_MESSAGE);
+    assert.strictEqual(messaging.sendOTP.mock.callCount(), 0);
+  });
+
+  it('silently throttles a second request within 30 seconds', async () => {
+    const latestOtp = new Otp({ purpose: 'password_reset', user: new mongoose.Types.ObjectId(), otp: '123456', phone: '919876543210' });
+    latestOtp.createdAt = new Date(Date.now() - 5 * 1000);
+    stubReset({ latestOtp });
+
+    const { status, body } = await request();
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.message, FORGOT_PASSWORD_MESSAGE);
+    assert.strictEqual(messaging.sendOTP.mock.callCount(), 0);
+  });
+
+  it('silently throttles once the hourly limit is reached', async () => {
+    stubReset({ recentCount: 5 });
+
+    const { status, body } = await request();
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.message, FORGOT_PASSWORD_MESSAGE);
+    assert.strictEqual(messaging.sendOTP.mock.callCount(), 0);
+  });
+
+  it('sends a code without revealing it or the delivery outcome', async () => {
+    stubReset();
+    messaging.sendOTP.mock.mockImplementation(async () => ({ success: false, error: 'Message could not be delivered', attempts: [] }));
+
+    const { status, body } = await request();
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.message, FORGOT_PASSWORD_MESSAGE);
+    assert.strictEqual(body.data, null);
+    const [, code] = messaging.sendOTP.mock.calls[0].arguments;
+    assert.ok(!JSON.stringify(body).includes(code));
+  });
+});
+
+describe('resetPassword', () => {
+  const stubReset = (otp, { attempt = otp } = {}) => {
+    const user = buildUser({ mustChangePassword: true });
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(User.prototype, 'save', async function() { return this; });
+    mock.method(Otp, 'findOne', () => query(otp));
+    mock.method(Otp, 'registerAttempt', async () => attempt);
+    mock.method(Otp, 'findOneAndUpdate', async () => otp);
+    mock.method(Session, 'revokeAllForUser', async () => ({}));
+    return user;
+  };
+
+  const resetOtp = (fields = {}) => new Otp({
+    purpose: 'password_reset',
+    user: new mongoose.Types.ObjectId(),
+    otp: '123456',
+    phone: '919876543210',
+    ...fields
+  });
+
+  const request = (otp = '123456') => run(resetPassword, {
+    body: { username: 'salesman@example.com', otp, newPassword: 'another-secret' }
+  });
+
+  it('sets the new password and signs out every session', async () => {
+    const otp = resetOtp({ attempts: 1 });
+    const user = stubReset(otp);
+
+    const { status } = await request();
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(user.mustChangePassword, false);
+    assert.deepStrictEqual(Otp.findOneAndUpdate.mock.calls[0].arguments, [{ _id: otp._id, isUsed: false }, { isUsed: true }]);
+    assert.deepStrictEqual(Session.revokeAllForUser.mock.calls[0].arguments, [user._id, 'password_reset']);
+  });
+
+  it('rejects a new password that is not a string', async () => {
+    stubReset(resetOtp());
+
+    const { error } = await run(resetPassword, {
+      body: { username: 'salesman@example.com', otp: '123456', newPassword: ['another-secret'] }
+    });
+
+    assert.strictEqual(error.statusCode, 400);
+    assert.strictEqual(User.findOne.mock.callCount(), 0);
+  });
+
+  it('reports the guesses left after a wrong code', async () => {
+    stubReset(resetOtp(), { attempt: resetOtp({ attempts: 2 }) });
+
+    const { error } = await request('654321');
+
+    assert.strictEqual(error.code, 'INVALID_OTP');
+    assert.strictEqual(error.details.attemptsLeft, Otp.MAX_ATTEMPTS - 2);
+    assert.strictEqual(Otp.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('refuses the code once a parallel request used up the last guess', async () => {
+    stubReset(resetOtp(), { attempt: null });
+
+    const { error } = await request();
+
+    assert.strictEqual(error.code, 'OTP_EXPIRED');
+    assert.strictEqual(User.prototype.save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { query, run, runMiddleware } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const { login, refresh } = require('../controllers/auth');
+const { auth } = require('../middleware/auth');
+const { hashToken } = require('../utils/helper');
+
+const PASSWORD = 'secret123';
+
+const bearer = (token) => ({
+  header: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined),
+  query: {}
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('login', () => {
+  it('issues a session-bound token pair for valid credentials', async () => {
+    const user = new User({
+      email: 'salesman@example.com',
+      password: bcrypt.hashSync(PASSWORD, 4),
+      firstName: 'Ravi',
+      lastName: 'Kumar',
+      role: 'salesman',
+      isActive: true
+    });
+    mock.method(LoginAttempt, 'countDocuments', async () => 0);
+    mock.method(LoginAttempt, 'create', async () => ({}));
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(User.prototype, 'save', async function() { return this; });
+    const saveSession = mock.method(Session.prototype, 'save', async function() { return this; });
+
+    const { status, body } = await run(login, { body: { username: 'salesman@example.com', password: PASSWORD } });
+
+    assert.strictEqual(status, 200);
+    assert.ok(body.data.refreshToken);
+    assert.strictEqual(saveSession.mock.callCount(), 1);
+    const decoded = jwt.verify(body.data.token, process.env.JWT_SECRET);
+    assert.strictEqual(decoded.userId, user._id.toString());
+    assert.ok(decoded.sessionId);
+  });
+});
+
+describe('refresh', () => {
+  it('revokes the session when a rotated-out refresh token is replayed', async () => {
+    const session = new Session({ user: new mongoose.Types.ObjectId(), refreshTokenHash: 'current', expiresAt: new Date(Date.now() + 60 * 1000) });
+    const save = mock.method(session, 'save', async () => session);
+    mock.method(Session, 'findOne', async (filter) => (filter.previousRefreshTokenHash === hashToken('old-token') ? session : null));
+
+    const { error } = await run(refresh, { body: { refreshToken: 'old-token' } });
+
+    assert.strictEqual(error.code, 'INVALID_REFRESH_TOKEN');
+    assert.strictEqual(session.revokedReason, 'refresh_token_reuse');
+    assert.ok(session.revokedAt);
+    assert.strictEqual(save.mock.callCount(), 1);
+  });
+});
+
+describe('auth middleware', () => {
+  it('rejects access tokens of a revoked session', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const session = new Session({ user: userId, refreshTokenHash: 'x', expiresAt: new Date(Date.now() + 60 * 1000), revokedAt: new Date() });
+    mock.method(Session, 'findById', async () => session);
+    const token = jwt.sign({ userId: userId.toString(), sessionId: session._id }, process.env.JWT_SECRET);
+
+    const error = await runMiddleware(auth, bearer(token));
+
+    assert.strictEqual(error.code, 'SESSION_REVOKED');
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+const VisitPlan = require('../models/VisitPlan');
+const ClientFeedback = require('../models/ClientFeedback');
+const User = require('../models/User');
+const { getAdherenceReport } = require('../services/visitPlanService');
+const { startOfDayIST, toISTDateString, DAY_MS } = require('../utils/date');
+
+const salesman = new User({ firstName: 'Ravi', lastName: 'Kumar', email: 'salesman@example.com', role: 'salesman' });
+const clients = Array.from({ length: 5 }, () => new mongoose.Types.ObjectId());
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('getAdherenceReport', () => {
+  const today = startOfDayIST();
+  const yesterday = new Date(today.getTime() - DAY_MS);
+
+  const stubReport = () => {
+    mock.method(VisitPlan, 'find', () => query([
+      {
+        salesman: salesman._id,
+        date: yesterday,
+        visits: [
+          { client: clients[0], status: 'completed' },
+          { client: clients[1], status: 'skipped' },
+          { client: clients[2], status: 'planned' }
+        ]
+      },
+      { salesman: salesman._id, date: today, visits: [{ client: clients[3], status: 'planned' }] }
+    ]));
+    mock.method(ClientFeedback, 'aggregate', async () => [
+      { _id: { salesman: salesman._id, client: clients[0], day: toISTDateString(yesterday) } },
+      { _id: { salesman: salesman._id, client: clients[4], day: toISTDateString(yesterday) } }
+    ]);
+    mock.method(User, 'find', () => query([salesman]));
+  };
+
+  it('counts planned visits of past days as missed and of today as pending', async () => {
+    stubReport();
+
+    const report = await getAdherenceReport({ dateFrom: yesterday, dateTo: today, salesmanIds: null });
+
+    assert.deepStrictEqual(report.salesmen, [{
+      salesman: { _id: salesman._id, name: 'Ravi Kumar', email: 'salesman@example.com', role: 'salesman' },
+      plannedDays: 2,
+      planned: 4,
+      completed: 1,
+      skipped: 1,
+      missed: 1,
+      pending: 1,
+      unplanned: 1,
+      adherenceRate: 25
+    }]);
+    assert.strictEqual(report.totals.adherenceRate, 25);
+    assert.strictEqual(report.dateFrom, toISTDateString(yesterday));
+  });
+
+  it('only reads the given salesmen', async () => {
+    stubReport();
+
+    await getAdherenceReport({ dateFrom: yesterday, dateTo: today, salesmanIds: [salesman._id] });
+
+    const [planQuery] = VisitPlan.find.mock.calls[0].arguments;
+    const [[{ $match }]] = ClientFeedback.aggregate.mock.calls[0].arguments;
+    assert.deepStrictEqual(planQuery.salesman, { $in: [salesman._id] });
+    assert.deepStrictEqual($match.createdBy, { $in: [salesman._id] });
+  });
+});
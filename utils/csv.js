@@ -0,0 +1,75 @@
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may contain commas, quotes and newlines)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows of cell values
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Excel adds a byte order mark to UTF-8 exports
+  const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Spreadsheet apps run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Phone numbers and signed numbers start with + or - too but are plain values
+const PHONE_OR_NUMBER = /^[+-][\d\s().-]*$/;
+
+/**
+ * Format one CSV line, quoting cells that contain commas, quotes or newlines.
+ * Text that a spreadsheet would read as a formula is prefixed with an apostrophe.
+ * @param {Array} cells - Cell values
+ * @returns {string} - CSV line without the trailing newline
+ */
+const toCsvRow = (cells) => {
+  return cells.map(cell => {
+    let cellStr = cell === null || cell === undefined ? '' : String(cell);
+    if (typeof cell === 'string' && FORMULA_PREFIX.test(cellStr) && !PHONE_OR_NUMBER.test(cellStr)) {
+      cellStr = `'${cellStr}`;
+    }
+    if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+      return `"${cellStr.replace(/"/g, '""')}"`;
+    }
+    return cellStr;
+  }).join(',');
+};
+
+module.exports = { parseCsv, toCsvRow };
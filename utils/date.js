@@ -0,0 +1,31 @@
+// The field team works in India, so a "day" always means a calendar day in IST
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the IST calendar day containing the given moment
+ * @param {Date|string|number} value - Date, ISO string ('2024-05-01' is read as that IST day) or timestamp
+ * @returns {Date} - Midnight IST as a UTC instant
+ */
+const startOfDayIST = (value = new Date()) => {
+  const shifted = new Date(new Date(value).getTime() + IST_OFFSET_MS);
+  shifted.setUTCHours(0, 0, 0, 0);
+  return new Date(shifted.getTime() - IST_OFFSET_MS);
+};
+
+const endOfDayIST = (value = new Date()) => {
+  return new Date(startOfDayIST(value).getTime() + DAY_MS - 1);
+};
+
+// 'YYYY-MM-DD' of the IST calendar day
+const toISTDateString = (value = new Date()) => {
+  return new Date(new Date(value).getTime() + IST_OFFSET_MS).toISOString().split('T')[0];
+};
+
+module.exports = {
+  IST_OFFSET_MS,
+  DAY_MS,
+  startOfDayIST,
+  endOfDayIST,
+  toISTDateString
+};
@@ -0,0 +1,68 @@
+// Errors thrown from controllers and middleware, rendered by middleware/errorHandler.js
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Message safe to show to the client
+   * @param {number} statusCode - HTTP status code
+   * @param {string} code - Stable machine-readable error code
+   * @param {Object} [details] - Extra fields for the client (e.g. retryAfter)
+   */
+  constructor(message, statusCode = 500, code = 'SERVER_ERROR', details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array} [errors] - Field errors, e.g. from express-validator
+   */
+  constructor(message = 'Validation failed', errors = undefined, code = 'VALIDATION_ERROR') {
+    super(message, 400, code);
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED', details = undefined) {
+    super(message, 401, code, details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', code = 'FORBIDDEN', details = undefined) {
+    super(message, 403, code, details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', code = 'NOT_FOUND', details = undefined) {
+    super(message, 404, code, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', code = 'CONFLICT', details = undefined) {
+    super(message, 409, code, details);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', code = 'TOO_MANY_REQUESTS', details = undefined) {
+    super(message, 429, code, details);
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+};
@@ -0,0 +1,56 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Build a GeoJSON point (coordinates are [longitude, latitude])
+ * @param {number|string} lat - Latitude
+ * @param {number|string} lng - Longitude
+ * @returns {Object|null} - { type: 'Point', coordinates } or null when not a valid position
+ */
+const toPoint = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Accepts { lat, lng } (or latitude/longitude) as sent by the apps, or a GeoJSON point
+const parseLocation = (location) => {
+  if (!location) return null;
+  if (location.type === 'Point' && Array.isArray(location.coordinates)) {
+    return toPoint(location.coordinates[1], location.coordinates[0]);
+  }
+  return toPoint(location.lat ?? location.latitude, location.lng ?? location.longitude);
+};
+
+const hasCoordinates = (point) => Boolean(point && Array.isArray(point.coordinates) && point.coordinates.length === 2);
+
+/**
+ * Great-circle distance between two GeoJSON points (haversine)
+ * @param {Object} from - GeoJSON point
+ * @param {Object} to - GeoJSON point
+ * @returns {number|null} - Distance in meters, null when a point is missing
+ */
+const distanceInMeters = (from, to) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a)));
+};
+
+module.exports = {
+  toPoint,
+  parseLocation,
+  hasCoordinates,
+  distanceInMeters
+};
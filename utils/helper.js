@@ -1,6 +1,18 @@
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
 const comparePassword = async (plainPassword, hashedPassword) => {
     return await bcrypt.compare(plainPassword, hashedPassword);
 };
 
-module.exports = { comparePassword };
\ No newline at end of file
+// Opaque random token, e.g. for refresh tokens
+const generateRandomToken = (bytes = 48) => {
+    return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = { comparePassword, generateRandomToken, hashToken };
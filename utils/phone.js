@@ -0,0 +1,18 @@
+/**
+ * Format phone number to E.164 format (without +)
+ * @param {string} phone - Phone number
+ * @returns {string} - Formatted phone number
+ */
+const formatPhoneNumber = (phone) => {
+  // Remove all non-digit characters
+  let cleanPhone = String(phone).replace(/\D/g, '');
+
+  // If number is 10 digits, add India country code (91)
+  if (cleanPhone.length === 10) {
+    cleanPhone = '91' + cleanPhone;
+  }
+
+  return cleanPhone;
+};
+
+module.exports = { formatPhoneNumber };
@@ -0,0 +1,23 @@
+// Success envelope shared by every JSON route: { success: true, message?, data }
+
+/**
+ * Send a successful JSON response
+ * @param {Object} res - Express response
+ * @param {*} data - Response payload
+ * @param {string} [message] - Human readable message
+ * @param {number} [statusCode] - HTTP status code
+ */
+const sendSuccess = (res, data = null, message = undefined, statusCode = 200) => {
+  return res.status(statusCode).json({
+    success: true,
+    ...(message && { message }),
+    data
+  });
+};
+
+// Forward rejections of async route handlers to the error middleware
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = { sendSuccess, asyncHandler };
@@ -0,0 +1,76 @@
+const User = require('../models/User');
+const Client = require('../models/Client');
+
+// Ids of every active user reporting to the manager, directly or indirectly
+const getTeamMemberIds = async (managerId) => {
+  const seen = new Set([managerId.toString()]);
+  const members = [];
+  let frontier = [managerId];
+
+  while (frontier.length > 0) {
+    const reports = await User.find({
+      reportsTo: { $in: frontier },
+      isActive: true
+    }).select('_id');
+
+    frontier = reports
+      .map(report => report._id)
+      .filter(id => !seen.has(id.toString()));
+
+    frontier.forEach(id => {
+      seen.add(id.toString());
+      members.push(id);
+    });
+  }
+
+  return members;
+};
+
+// Area ids the user may access, or null when the user is not area-restricted
+const getAccessibleAreaIds = async (user) => {
+  if (user.hasPermission('data:all')) {
+    return null;
+  }
+
+  const areaIds = user.getAreaIds();
+
+  if (user.hasPermission('team:read')) {
+    const teamIds = await getTeamMemberIds(user._id);
+    const team = await User.find({ _id: { $in: teamIds } }).select('area areas');
+    team.forEach(member => areaIds.push(...member.getAreaIds()));
+  }
+
+  return User.withPrimaryArea(null, areaIds);
+};
+
+// Ids of the users the user may look up (their team), or null when not restricted
+const getVisibleUserIds = async (user) => {
+  if (user.hasPermission('data:all')) {
+    return null;
+  }
+
+  return getTeamMemberIds(user._id);
+};
+
+// Active client ids the user may access, or null when the user is not area-restricted
+const getAccessibleClientIds = async (user) => {
+  const areaIds = await getAccessibleAreaIds(user);
+  if (!areaIds) {
+    return null;
+  }
+
+  const clients = await Client.find({ area: { $in: areaIds }, isActive: true }).select('_id');
+  return clients.map(c => c._id);
+};
+
+const isAreaAccessible = (areaIds, areaId) => {
+  return !areaIds || areaIds.some(id => id.toString() === areaId.toString());
+};
+
+module.exports = {
+  getTeamMemberIds,
+  getVisibleUserIds,
+  getAccessibleAreaIds,
+  getAccessibleClientIds,
+  isAreaAccessible
+};
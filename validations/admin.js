@@ -1,4 +1,5 @@
 const { body } = require('express-validator');
+const { ROLES } = require('../config/roles');
 
 // Validation rules for creating a user
 const createUserValidation = [
@@ -23,18 +24,28 @@ const createUserValidation = [
     .isLength({ min: 2, max: 50 })
     .withMessage('Last name must be between 2 and 50 characters'),
   body('area')
-    .notEmpty()
-    .withMessage('Area is required')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid area ID is required'),
+  body('areas')
+    .optional()
+    .isArray()
+    .withMessage('Areas must be an array'),
+  body('areas.*')
     .isMongoId()
     .withMessage('Valid area ID is required'),
   body('role')
     .optional()
-    .isIn(['admin', 'manager', 'salesman'])
-    .withMessage('Role must be admin, manager, or salesman'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   body('phone')
     .optional()
     .isMobilePhone()
-    .withMessage('Valid phone number is required')
+    .withMessage('Valid phone number is required'),
+  body('reportsTo')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Valid manager ID is required')
 ];
 
 // Validation rules for updating a user
@@ -68,14 +79,33 @@ const updateUserValidation = [
     .withMessage('Area cannot be empty')
     .isMongoId()
     .withMessage('Valid area ID is required'),
+  body('areas')
+    .optional()
+    .isArray()
+    .withMessage('Areas must be an array'),
+  body('areas.*')
+    .isMongoId()
+    .withMessage('Valid area ID is required'),
   body('role')
     .optional()
-    .isIn(['admin', 'manager', 'salesman'])
-    .withMessage('Role must be admin, manager, or salesman'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be boolean')
+    .withMessage('isActive must be boolean'),
+  body('reportsTo')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Valid manager ID is required')
+];
+
+// Validation rules for an admin password reset
+const resetPasswordValidation = [
+  body('sendCredentials')
+    .optional()
+    .isBoolean()
+    .withMessage('sendCredentials must be boolean')
 ];
 
 // Validation rules for user ID parameter
@@ -88,5 +118,6 @@ const userIdValidation = [
 module.exports = {
   createUserValidation,
   updateUserValidation,
+  resetPasswordValidation,
   userIdValidation
 };
@@ -26,6 +26,16 @@ const createAreaValidation = [
     .isLength({ max: 500 })
     .withMessage('Description cannot exceed 500 characters'),
   
+  body('location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
   body('isActive')
     .optional()
     .isBoolean()
@@ -64,6 +74,16 @@ const updateAreaValidation = [
     .isLength({ max: 500 })
     .withMessage('Description cannot exceed 500 characters'),
   
+  body('location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
   body('isActive')
     .optional()
     .isBoolean()
@@ -1,7 +1,7 @@
 
 const validateLogin = (data) => {
-    // Check if required fields exist
-    if (!data.username || !data.password) {
+    // Check if required fields exist, as plain strings
+    if (!data.username || !data.password || typeof data.username !== 'string' || typeof data.password !== 'string') {
         return { 
             error: { 
                 details: [{ message: 'Username and password are required' }] 
@@ -40,6 +40,76 @@ const validateChangePassword = (data) => {
         };
     }
     
+    // Anything but a string would reach the password hashing as-is
+    if (typeof data.currentPassword !== 'string' || typeof data.newPassword !== 'string') {
+        return { 
+            error: { 
+                details: [{ message: 'Current password and new password must be text' }] 
+            } 
+        };
+    }
+    
+    if (data.newPassword.length < 6) {
+        return { 
+            error: { 
+                details: [{ message: 'New password must be at least 6 characters long' }] 
+            } 
+        };
+    }
+    
+    return { error: null };
+};
+
+const validateRefreshToken = (data) => {
+    if (!data.refreshToken || typeof data.refreshToken !== 'string') {
+        return { 
+            error: { 
+                details: [{ message: 'Refresh token is required' }] 
+            } 
+        };
+    }
+    
+    return { error: null };
+};
+
+const validateForgotPassword = (data) => {
+    if (!data.username || typeof data.username !== 'string') {
+        return { 
+            error: { 
+                details: [{ message: 'Username is required' }] 
+            } 
+        };
+    }
+    
+    return { error: null };
+};
+
+const validateResetPassword = (data) => {
+    if (!data.username || !data.otp || !data.newPassword) {
+        return { 
+            error: { 
+                details: [{ message: 'Username, OTP and new password are required' }] 
+            } 
+        };
+    }
+    
+    // Anything but a string would reach the password hashing as-is
+    if (typeof data.username !== 'string' || typeof data.newPassword !== 'string') {
+        return { 
+            error: { 
+                details: [{ message: 'Username and new password must be text' }] 
+            } 
+        };
+    }
+    
+    if (!/^\d{6}$/.test(data.otp)) {
+        return { 
+            error: { 
+                details: [{ message: 'OTP must be 6 digits' }] 
+            } 
+        };
+    }
+    
     if (data.newPassword.length < 6) {
         return { 
             error: { 
@@ -51,4 +121,10 @@ const validateChangePassword = (data) => {
     return { error: null };
 };
 
-module.exports = { validateLogin, validateChangePassword };
\ No newline at end of file
+module.exports = {
+    validateLogin,
+    validateChangePassword,
+    validateRefreshToken,
+    validateForgotPassword,
+    validateResetPassword
+};
\ No newline at end of file
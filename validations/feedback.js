@@ -49,10 +49,35 @@ const createFeedbackValidation = [
     .isLength({ min: 1, max: 255 })
     .withMessage('Audio original name must be between 1 and 255 characters'),
 
+  body('followUpDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid follow-up date format'),
+
+  body('followUpNote')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Follow-up note must not exceed 500 characters'),
+
   body('notes')
     .optional()
     .isLength({ max: 1000 })
-    .withMessage('Notes must not exceed 1000 characters')
+    .withMessage('Notes must not exceed 1000 characters'),
+
+  body('location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('location.accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Location accuracy must be a non-negative number')
 ];
 
 const updateFeedbackValidation = [
@@ -96,6 +121,16 @@ const updateFeedbackValidation = [
     .isLength({ min: 1, max: 255 })
     .withMessage('Audio original name must be between 1 and 255 characters'),
 
+  body('followUpDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid follow-up date format'),
+
+  body('followUpNote')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Follow-up note must not exceed 500 characters'),
+
   body('notes')
     .optional()
     .isLength({ max: 1000 })
@@ -0,0 +1,138 @@
+const { body, param, query } = require('express-validator');
+const { NOTIFICATION_TYPES, IN_APP_REQUIRED_TYPES } = require('../config/notificationTemplates');
+const { TIME_PATTERN } = require('../services/notificationPreferences');
+
+// Validation for notification preferences, nested under `prefix` when part of a larger body
+const notificationPreferencesValidation = (prefix = '') => [
+  body(`${prefix}disabledTypes`)
+    .optional()
+    .isArray()
+    .withMessage('disabledTypes must be an array'),
+
+  body(`${prefix}disabledTypes.*`)
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage(`Notification type must be one of: ${NOTIFICATION_TYPES.join(', ')}`)
+    .bail()
+    .not()
+    .isIn(IN_APP_REQUIRED_TYPES)
+    .withMessage(value => `${value} notifications cannot be turned off (OTP and security notices are always kept)`),
+
+  body(`${prefix}channels.inApp`)
+    .optional()
+    .isBoolean()
+    .withMessage('channels.inApp must be a boolean value'),
+
+  body(`${prefix}channels.push`)
+    .optional()
+    .isBoolean()
+    .withMessage('channels.push must be a boolean value'),
+
+  body(`${prefix}channels.whatsapp`)
+    .optional()
+    .isBoolean()
+    .withMessage('channels.whatsapp must be a boolean value'),
+
+  body(`${prefix}quietHours.enabled`)
+    .optional()
+    .isBoolean()
+    .withMessage('quietHours.enabled must be a boolean value'),
+
+  body(`${prefix}quietHours.start`)
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('quietHours.start must be a time as HH:mm'),
+
+  body(`${prefix}quietHours.end`)
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('quietHours.end must be a time as HH:mm')
+];
+
+// Validation for routes taking a notification id
+const notificationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+];
+
+// Validation for archiving or unarchiving a notification
+const archiveNotificationValidation = [
+  ...notificationIdValidation,
+
+  body('archived')
+    .optional()
+    .isBoolean()
+    .withMessage('archived must be a boolean value')
+];
+
+// Validation for bulk actions on notifications
+const bulkNotificationValidation = [
+  body('action')
+    .isIn(['read', 'unread', 'archive', 'unarchive', 'delete'])
+    .withMessage('Action must be one of: read, unread, archive, unarchive, delete'),
+
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('ids must be an array of 1 to 500 notification IDs'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid notification ID'),
+
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('filter must be an object'),
+
+  body('filter.type')
+    .optional()
+    .isString()
+    .withMessage('filter.type must be a string'),
+
+  body('filter.isRead')
+    .optional()
+    .isBoolean()
+    .withMessage('filter.isRead must be a boolean value'),
+
+  body('filter.isArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('filter.isArchived must be a boolean value'),
+
+  body('filter.clientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+
+  body('filter.recipientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid recipient ID'),
+
+  body('filter.before')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+];
+
+// Validation for notification stats
+const notificationStatsValidation = [
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+];
+
+module.exports = {
+  notificationPreferencesValidation,
+  notificationIdValidation,
+  archiveNotificationValidation,
+  bulkNotificationValidation,
+  notificationStatsValidation
+};
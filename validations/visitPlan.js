@@ -0,0 +1,112 @@
+const { body, param, query } = require('express-validator');
+
+// Validation for creating a visit plan
+const createVisitPlanValidation = [
+  body('salesman')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid salesman ID'),
+
+  body('date')
+    .notEmpty()
+    .withMessage('Date is required')
+    .isISO8601()
+    .withMessage('Invalid date format'),
+
+  body('visits')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('A plan must have between 1 and 100 visits'),
+
+  body('visits.*.client')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+
+  body('visits.*.notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Visit notes must not exceed 500 characters'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+// Validation for updating a visit plan
+const updateVisitPlanValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid visit plan ID'),
+
+  body('visits')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('A plan must have between 1 and 100 visits'),
+
+  body('visits.*.client')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+
+  body('visits.*.notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Visit notes must not exceed 500 characters'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+// Validation for skipping (or re-planning) a single visit
+const updateVisitStatusValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid visit plan ID'),
+
+  param('visitId')
+    .isMongoId()
+    .withMessage('Invalid visit ID'),
+
+  body('status')
+    .isIn(['planned', 'skipped'])
+    .withMessage('Status must be planned or skipped'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Visit notes must not exceed 500 characters')
+];
+
+// Validation for date-ranged lists and reports
+const dateRangeValidation = [
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid dateFrom format'),
+
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid dateTo format'),
+
+  query('salesmanId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid salesman ID')
+];
+
+// Validation for visit plan ID parameter
+const visitPlanIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid visit plan ID')
+];
+
+module.exports = {
+  createVisitPlanValidation,
+  updateVisitPlanValidation,
+  updateVisitStatusValidation,
+  dateRangeValidation,
+  visitPlanIdValidation
+};